@@ -9,6 +9,17 @@ import { ToolHandler } from "./ToolHandler.js";
  * @typedef {import('../model/SongState.js').SongState} SongState
  */
 
+/**
+ * @typedef {object} Command
+ * @property {string} toolName
+ * @property {object} args
+ * @property {ToolHandler} handler The handler that executed the command.
+ * @property {{toolName: string, args: object}} inverse The call that undoes it.
+ */
+
+// The number of commands kept for undo_last_command.
+const MAX_COMMAND_HISTORY = 100;
+
 /**
  * @class MainController
  * @description Handles user input, executes tool calls, and coordinates updates.
@@ -20,6 +31,8 @@ export class MainController {
   #toolSchemas;
   /** @type {ToolHandler[]} */
   #toolHandlers;
+  /** @type {Command[]} */
+  #commandHistory = [];
 
   /**
    * @param {LLM} llm
@@ -59,17 +72,57 @@ export class MainController {
   }
 
   /**
+   * Runs a tool call. A handler that returns a string, such as a summary or
+   * the reason the call failed, has it shown in the chat.
    * @param {string} toolName
    * @param {object} args
    */
   async callTool(toolName, args) {
+    if (toolName === 'undo_last_command') {
+      await this.#undoLastCommand();
+      return;
+    }
     for (const handler of this.#toolHandlers) {
       if (handler.canHandle(toolName)) {
         console.log(`Tool call: ${toolName} handled by ${handler.constructor.name}`, args);
-        await handler.callTool(toolName, args);
+        // Handlers that extend EventTarget rather than ToolHandler may not
+        // implement getInverse.
+        const inverse = handler.getInverse?.(toolName, args) ?? null;
+        this.#showResult(await handler.callTool(toolName, args));
+        if (inverse) {
+          this.#commandHistory.push({ toolName, args, handler, inverse });
+          if (this.#commandHistory.length > MAX_COMMAND_HISTORY) {
+            this.#commandHistory.shift();
+          }
+        }
         return;
       }
     }
     console.error(`Unknown tool call: ${toolName}`, args);
   }
+
+  /**
+   * Reverses the most recent state-changing tool call and tells the user
+   * which command was undone.
+   */
+  async #undoLastCommand() {
+    const command = this.#commandHistory.pop();
+    if (!command) {
+      this.#chatUI.addAgentMessage('There is no command to undo.');
+      return;
+    }
+    this.#chatUI.addAgentMessage(
+      `Undoing ${command.toolName} ${JSON.stringify(command.args)}`);
+    this.#showResult(
+      await command.handler.callTool(command.inverse.toolName, command.inverse.args));
+  }
+
+  /**
+   * @param {string | void} result What a tool handler returned.
+   */
+  #showResult(result) {
+    if (typeof result === 'string' && result) {
+      this.#chatUI.addAgentMessage(result);
+    }
+  }
 }
\ No newline at end of file
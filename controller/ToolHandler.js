@@ -16,7 +16,18 @@ export class ToolHandler {
    * Calls the specified tool with the given arguments.
    * @param {string} toolName The name of the tool to call.
    * @param {object} args The arguments for the tool.
-   * @returns {Promise<string|void>} A string result from the tool execution, or nothing.
+   * @returns {Promise<string|void>} A string result from the tool execution, shown
+   *   to the user in the chat, or nothing.
    */
   async callTool(toolName, args) { throw new Error('Not implemented'); }
+
+  /**
+   * Describes the call that reverses a tool call. This is called before the
+   * tool is called, so that the current state can be captured.
+   * @param {string} toolName The name of the tool about to be called.
+   * @param {object} args The arguments for the tool.
+   * @returns {{toolName: string, args: object} | null} The inverse call, or
+   *   null if the tool does not change any state that can be undone.
+   */
+  getInverse(toolName, args) { return null; }
 }
\ No newline at end of file
@@ -35,7 +35,7 @@ export class ToolSchemas {
             required: ["start_section"]
           },
           record: {
-            description: "Record audio over part of the song. Specify the start_section and last_section to record over. If only start_section is provided, only that section will be recorded over.",
+            description: "Record audio over part of the song. Specify the start_section and last_section to record over. If only start_section is provided, only that section will be recorded over. Audio outside those sections is never touched. Set loop to cycle over the sections, recording every pass as a new take. pre_roll_bars plays that many bars of the song before start_section. count_in_bars clicks that many bars before the tape starts (default 1).",
             type: "object",
             properties: {
               start_section: {
@@ -43,10 +43,55 @@ export class ToolSchemas {
               },
               last_section: {
                 type: "string", enum: sectionNames
-              }
+              },
+              pre_roll_bars: { type: "number", minimum: 0, maximum: 8 },
+              count_in_bars: { type: "number", minimum: 0, maximum: 4 },
+              loop: { type: "boolean" }
             },
             required: ["start_section"]
           },
+          audition_take: {
+            description: "Play a section with a track replaced by one of its takes. Takes are numbered from 1 in the order they were recorded. If track_number is omitted, the armed track is used.",
+            type: "object",
+            properties: {
+              track_number: { type: "number", minimum: 1, maximum: 16 },
+              section: { type: "string", enum: sectionNames },
+              take_number: { type: "number", minimum: 1 }
+            },
+            required: ["section", "take_number"]
+          },
+          choose_take: {
+            description: "Keep a take: put it on tape for that section of the track. If track_number is omitted, the armed track is used.",
+            type: "object",
+            properties: {
+              track_number: { type: "number", minimum: 1, maximum: 16 },
+              section: { type: "string", enum: sectionNames },
+              take_number: { type: "number", minimum: 1 }
+            },
+            required: ["section", "take_number"]
+          },
+          comp_take: {
+            description: "Use a take for a range of bars within a section, keeping the other takes for the rest of the section. Bars are numbered from 1 within the section. If first_bar or last_bar is omitted, the section's first or last bar is used. If track_number is omitted, the armed track is used.",
+            type: "object",
+            properties: {
+              track_number: { type: "number", minimum: 1, maximum: 16 },
+              section: { type: "string", enum: sectionNames },
+              take_number: { type: "number", minimum: 1 },
+              first_bar: { type: "number", minimum: 1 },
+              last_bar: { type: "number", minimum: 1 }
+            },
+            required: ["section", "take_number"]
+          },
+          delete_take: {
+            description: "Delete a take. The audio on tape is not changed. If track_number is omitted, the armed track is used.",
+            type: "object",
+            properties: {
+              track_number: { type: "number", minimum: 1, maximum: 16 },
+              section: { type: "string", enum: sectionNames },
+              take_number: { type: "number", minimum: 1 }
+            },
+            required: ["section", "take_number"]
+          },
           stop: {
             description: "Stop playback or recording.",
             type: "object",
@@ -60,11 +105,44 @@ export class ToolSchemas {
             },
             required: ["track_number"]
           },
+          erase: {
+            description: "Erase a track over a range of sections by recording silence over it, with short fades at the edges. If track_number is omitted, the armed track is used. If last_section is omitted, only start_section is erased.",
+            type: "object",
+            properties: {
+              track_number: { type: "number", minimum: 1, maximum: 16 },
+              start_section: { type: "string", enum: sectionNames },
+              last_section: { type: "string", enum: sectionNames }
+            },
+            required: ["start_section"]
+          },
+          bounce_tracks: {
+            description: "Bounce several tracks down to one, through their mixer channels, over a range of sections. The destination track is replaced over that range and may be one of the sources. Set clear_sources to erase the source tracks afterwards and free them up. If last_section is omitted, only start_section is bounced.",
+            type: "object",
+            properties: {
+              source_tracks: { type: "array", items: { type: "number", minimum: 1, maximum: 16 } },
+              destination_track: { type: "number", minimum: 1, maximum: 16 },
+              start_section: { type: "string", enum: sectionNames },
+              last_section: { type: "string", enum: sectionNames },
+              clear_sources: { type: "boolean" }
+            },
+            required: ["source_tracks", "destination_track", "start_section"]
+          },
+          undo: {
+            description: "Undo the last change to the tape: a recording, a comp, an erase, a bounce or an imported file. Only the audio on tape is restored. Takes are not undone: a recording's takes stay in the take lanes and stay chosen in the comp, so use choose_take or delete_take to tidy them up.",
+            type: "object",
+            properties: {}
+          },
+          redo: {
+            description: "Redo the last change to the tape that was undone.",
+            type: "object",
+            properties: {}
+          },
           set_metronome_properties: {
-            description: "Set the metronome volume. Volume is in decibels. -6 is normal.",
+            description: "Set the metronome volume and routing. Volume is in decibels. -6 is normal. Route 'master' sends the click through the master bus, so it follows the master level; 'direct' keeps it at the same level whatever the mix does.",
             type: "object",
             properties: {
-              volumeDB: { type: "number" }
+              volumeDB: { type: "number" },
+              route: { type: "string", enum: ["master", "direct"] }
             }
           },
           set_latency_compensation: {
@@ -75,6 +153,47 @@ export class ToolSchemas {
             },
             required: ["seconds"]
           },
+          calibrate_latency: {
+            description: "Measure the round-trip latency of the audio interface by playing a short noise burst through the output and listening for it on the input, then apply the result as the latency compensation for every track. The output must reach the input through a loopback cable, or speakers near the microphone. The result is remembered for the current input and output devices.",
+            type: "object",
+            properties: {}
+          },
+          set_input_monitoring: {
+            description: "Choose when the musician hears their input through the armed track's channel strip, with its saturation, pan and level. 'auto' works like a tape machine: input while stopped and recording, tape while playing back. 'always' monitors the input all the time. 'off' (the default) is for hardware monitoring, or to avoid feedback through speakers.",
+            type: "object",
+            properties: {
+              mode: { type: "string", enum: ["auto", "always", "off"] }
+            },
+            required: ["mode"]
+          },
+          import_audio: {
+            description: "Place an audio file that was dropped onto the page onto a track, starting at a section. If file_name is omitted, the most recently dropped file is used. If track_number is omitted, the armed track is used.",
+            type: "object",
+            properties: {
+              file_name: { type: "string" },
+              track_number: { type: "number", minimum: 1, maximum: 16 },
+              section: {
+                type: "string", enum: sectionNames
+              }
+            }
+          },
+          export_stems: {
+            description: "Export every recorded track as a WAV stem, trimmed to the song length, and download them as one zip file. Set print_mix to apply the headphone mix gain, saturation and pan.",
+            type: "object",
+            properties: {
+              bit_depth: { type: "number", enum: [24, 32] },
+              print_mix: { type: "boolean" }
+            }
+          },
+          bounce_mix: {
+            description: "Render the headphone mix (gain, saturation, pan, level, mute and solo) of a range of sections to a stereo WAV file and download it, e.g. to send a rough mix to the band. If start_section is omitted, the whole song is bounced. If last_section is omitted, only start_section is bounced.",
+            type: "object",
+            properties: {
+              start_section: { type: "string", enum: sectionNames },
+              last_section: { type: "string", enum: sectionNames },
+              bit_depth: { type: "number", enum: [24, 32] }
+            }
+          },
           update_song_attributes: {
             description: "Update the song's attributes, like BPM or time signature.",
             type: "object",
@@ -84,12 +203,13 @@ export class ToolSchemas {
             }
           },
           create_section: {
-            description: "Create a new section in the song.",
+            description: "Create a new section in the song. It is added at the end unless before_section is given.",
             type: "object",
             properties: {
               name: { type: "string" },
               bar_count: { type: "number" },
-              body: { type: "string" }
+              body: { type: "string" },
+              before_section: { type: "string", enum: sectionNames }
             },
             required: ["name", "bar_count"]
           },
@@ -103,15 +223,59 @@ export class ToolSchemas {
             },
             required: ["name"]
           },
-          // This seems to be too complicated for the agent.
-          // We need to do two things, I think
-          // 1: Break up the various adjustments into different functions
-          // 2: Have a single "knob" for saturation.
+          delete_section: {
+            description: "Delete a section from the song.",
+            type: "object",
+            properties: {
+              name: { type: "string", enum: sectionNames }
+            },
+            required: ["name"]
+          },
+          undo_last_command: {
+            description: "Undo the last change to the song sheet, mixer, metronome, armed track or latency compensation.",
+            type: "object",
+            properties: {}
+          },
+          set_channel_volume: {
+            description: "Set the volume of a mixer channel in decibels. 0 is unity, -6 is about half as loud.",
+            type: "object",
+            properties: {
+              channel: { type: "number", minimum: 1, maximum: 16 },
+              level_db: { type: "number", maximum: 12 }
+            },
+            required: ["channel", "level_db"]
+          },
+          set_channel_pan: {
+            description: "Set the pan of a mixer channel. -1 is hard left, 0 is centre, 1 is hard right.",
+            type: "object",
+            properties: {
+              channel: { type: "number", minimum: 1, maximum: 16 },
+              pan: { type: "number", minimum: -1, maximum: 1 }
+            },
+            required: ["channel", "pan"]
+          },
+          toggle_channel_mute: {
+            description: "Mute a mixer channel, or unmute it if it is muted.",
+            type: "object",
+            properties: {
+              channel: { type: "number", minimum: 1, maximum: 16 }
+            },
+            required: ["channel"]
+          },
+          set_channel_saturation: {
+            description: "Set how much a mixer channel is saturated, from 0 (clean) to 100 (heavily driven). The level is compensated, so it stays about as loud. 20 adds warmth, 50 is crunchy.",
+            type: "object",
+            properties: {
+              channel: { type: "number", minimum: 1, maximum: 16 },
+              amount: { type: "number", minimum: 0, maximum: 100 }
+            },
+            required: ["channel", "amount"]
+          },
           update_mixer_channel: {
-            description: "Update the settings for a mixer channel. The preamp " +
-              "has soft clipping, so increase the gain with a corresponding " +
-              "decrease in level to achieve saturation. Gain and level are " +
-              "measured in decibels.",
+            description: "Update several settings of a mixer channel at once, including " +
+              "solo and the reverb send. Prefer set_channel_volume, set_channel_pan, " +
+              "toggle_channel_mute and set_channel_saturation for single changes. " +
+              "Gain and level are measured in decibels.",
             type: "object",
             properties: {
               channel: { type: "number", minimum: 1, maximum: 16 },
@@ -121,8 +285,145 @@ export class ToolSchemas {
               pan: { type: "number", minimum: -1, maximum: 1 },
               mute: { type: "boolean" },
               solo: { type: "boolean" },
+              saturation: { type: "number", minimum: 0, maximum: 100 },
+              reverbSend: {
+                type: "number", minimum: 0, maximum: 1,
+                description: "How much of the channel is sent to the shared reverb. 0 is dry, 0.2 is some reverb, 0.5 is a lot."
+              },
+            },
+            required: ["channel"]
+          },
+          update_channel_eq: {
+            description: "Shape the tone of a mixer channel. low_cut_hz is a high-pass " +
+              "filter that removes rumble and boom below it (80 for vocals and guitars, " +
+              "40 for bass, 0 for off). bass_db boosts or cuts the low end below 120 Hz " +
+              "(cut for boom), mid_db boosts or cuts around mid_hz (cut 300-500 Hz for mud, " +
+              "around 1000 Hz for a boxy sound, boost 2000-4000 Hz for presence), and " +
+              "treble_db boosts or cuts above 8000 Hz (boost for air, cut for harshness). " +
+              "Gains are in decibels; 0 is flat.",
+            type: "object",
+            properties: {
+              channel: { type: "number", minimum: 1, maximum: 16 },
+              low_cut_hz: { type: "number", minimum: 0, maximum: 1000 },
+              bass_db: { type: "number", minimum: -24, maximum: 24 },
+              mid_db: { type: "number", minimum: -24, maximum: 24 },
+              mid_hz: { type: "number", minimum: 100, maximum: 10000 },
+              treble_db: { type: "number", minimum: -24, maximum: 24 }
             },
             required: ["channel"]
+          },
+          set_channel_compression: {
+            description: "Compress a mixer channel to even out its level, e.g. a vocal or bass " +
+              "that jumps around. Usually only amount is needed: 0 is off, 30 is gentle, " +
+              "60 is firm and 100 is heavy. The other settings override the amount: " +
+              "threshold_db and makeup_db in decibels, ratio (1 is off), attack and release in seconds.",
+            type: "object",
+            properties: {
+              channel: { type: "number", minimum: 1, maximum: 16 },
+              amount: { type: "number", minimum: 0, maximum: 100 },
+              threshold_db: { type: "number", minimum: -100, maximum: 0 },
+              ratio: { type: "number", minimum: 1, maximum: 20 },
+              attack: { type: "number", minimum: 0, maximum: 1 },
+              release: { type: "number", minimum: 0, maximum: 1 },
+              makeup_db: { type: "number" }
+            },
+            required: ["channel"]
+          },
+          set_master_level: {
+            description: "Set the master level of the headphone mix in decibels. 0 is unity. A safety limiter after the master fader stops the mix from clipping.",
+            type: "object",
+            properties: {
+              level_db: { type: "number", maximum: 12 }
+            },
+            required: ["level_db"]
+          },
+          save_mix_scene: {
+            description: "Save every mixer channel's settings (levels, pan, mute, solo, EQ, compression, saturation and reverb send) as a named scene, such as 'tracking' or 'playback'. Saving over an existing scene replaces it.",
+            type: "object",
+            properties: {
+              name: { type: "string" }
+            },
+            required: ["name"]
+          },
+          recall_mix_scene: {
+            description: "Restore the mixer channels to a saved scene. crossfade_seconds fades levels, pan and EQ to the scene so nothing jumps; 0 or omitted switches immediately.",
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              crossfade_seconds: { type: "number", minimum: 0, maximum: 10 }
+            },
+            required: ["name"]
+          },
+          delete_mix_scene: {
+            description: "Delete a saved mix scene.",
+            type: "object",
+            properties: {
+              name: { type: "string" }
+            },
+            required: ["name"]
+          },
+          create_cue_mix: {
+            description: "Create a separate headphone (cue) mix for a player, starting as a copy of the main mix. Cue mixes play on extra outputs of the audio device: output pair 2 is outputs 3-4, pair 3 is outputs 5-6, and so on. Pair 1 carries the main mix.",
+            type: "object",
+            properties: {
+              player: { type: "string", description: "The player's name, used to refer to this cue mix." },
+              output_pair: { type: "integer", minimum: 2 }
+            },
+            required: ["player"]
+          },
+          remove_cue_mix: {
+            description: "Remove a player's cue mix.",
+            type: "object",
+            properties: {
+              player: { type: "string" }
+            },
+            required: ["player"]
+          },
+          update_cue_mix: {
+            description: "Change the overall level of a player's cue mix in decibels, or move it to another output pair.",
+            type: "object",
+            properties: {
+              player: { type: "string" },
+              level_db: { type: "number" },
+              output_pair: { type: "integer", minimum: 2 }
+            },
+            required: ["player"]
+          },
+          set_cue_send: {
+            description: "Set how a channel sounds in a player's cue mix, independently of the main mix. Use level_db for an absolute level or change_db to turn it up or down relative to where it is (e.g. 3 for 'a bit more').",
+            type: "object",
+            properties: {
+              player: { type: "string" },
+              channel: { type: "integer" },
+              level_db: { type: "number" },
+              change_db: { type: "number" },
+              pan: { type: "number", minimum: -1, maximum: 1 },
+              mute: { type: "boolean" }
+            },
+            required: ["player", "channel"]
+          },
+          set_cue_click: {
+            description: "Set the metronome level in a player's cue mix. Use level_db for an absolute level or change_db to turn it up or down relative to where it is (e.g. 3 for 'more click').",
+            type: "object",
+            properties: {
+              player: { type: "string" },
+              level_db: { type: "number" },
+              change_db: { type: "number" }
+            },
+            required: ["player"]
+          },
+          update_reverb: {
+            description: "Update the shared reverb that channels send to with reverbSend. " +
+              "Size is the length of the tail in seconds, decay is how quickly it dies away " +
+              "(1 is slow, 5 is fast), pre_delay is the gap before the reverb starts, in seconds, " +
+              "and return_db is the level of the reverb in decibels.",
+            type: "object",
+            properties: {
+              size: { type: "number", minimum: 0.1, maximum: 10 },
+              decay: { type: "number", minimum: 0.1, maximum: 10 },
+              pre_delay: { type: "number", minimum: 0, maximum: 1 },
+              return_db: { type: "number" }
+            }
           }
         }
       }
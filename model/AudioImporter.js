@@ -0,0 +1,169 @@
+// @ts-check
+
+import { ToolHandler } from '../controller/ToolHandler.js';
+
+/**
+ * @typedef {import('./TapeDeckEngine.js').TapeDeckEngine} TapeDeckEngine
+ * @typedef {import('./SongState.js').SongState} SongState
+ */
+
+/**
+ * Decodes audio files (WAV, MP3, OGG, FLAC or anything else the browser can
+ * decode) and writes them onto a track. Files are dropped onto the page and
+ * kept by name until the LLM places them with import_audio.
+ * @implements {ToolHandler}
+ */
+export class AudioImporter extends ToolHandler {
+  /** @type {AudioContext} */
+  #audioContext;
+  /** @type {TapeDeckEngine} */
+  #tapeDeckEngine;
+  /** @type {SongState} */
+  #songState;
+  /** @type {Map<string, File>} Dropped files, in the order they arrived. */
+  #files = new Map();
+
+  /**
+   * @param {AudioContext} audioContext
+   * @param {TapeDeckEngine} tapeDeckEngine
+   * @param {SongState} songState
+   */
+  constructor(audioContext, tapeDeckEngine, songState) {
+    super();
+    this.#audioContext = audioContext;
+    this.#tapeDeckEngine = tapeDeckEngine;
+    this.#songState = songState;
+  }
+
+  /**
+   * Accepts audio files dropped anywhere on the element. Dropped files are
+   * only kept, not written to tape, so that import_audio can choose the track
+   * and section.
+   * @param {HTMLElement} element
+   * @param {(message: string) => void} [report] Tells the user which files
+   *   are ready. Defaults to the console.
+   */
+  attachDropTarget(element, report = console.log) {
+    element.addEventListener('dragover', (event) => {
+      event.preventDefault();
+    });
+    element.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const files = Array.from(event.dataTransfer?.files ?? [])
+        .filter(file => file.type.startsWith('audio/') || /\.(wav|mp3|ogg|flac)$/i.test(file.name));
+      for (const file of files) {
+        // Re-adding moves a re-dropped file to the end, so it counts as the
+        // most recent.
+        this.#files.delete(file.name);
+        this.#files.set(file.name, file);
+      }
+      if (files.length > 0) {
+        const names = files.map(file => file.name).join(', ');
+        const [verb, pronoun] = files.length === 1 ? ['is', 'it'] : ['are', 'them'];
+        report(`${names} ${verb} ready to import. Say which track and section to put ${pronoun} on.`);
+      }
+    });
+  }
+
+  /**
+   * @override
+   * @param {string} toolName
+   * @returns {boolean}
+   */
+  canHandle(toolName) {
+    return toolName === 'import_audio';
+  }
+
+  /**
+   * @override
+   * @param {string} toolName
+   * @param {object} args
+   * @returns {Promise<string|void>}
+   */
+  async callTool(toolName, args) {
+    if (toolName === 'import_audio') {
+      const trackNumber = args.track_number ?? this.#tapeDeckEngine.activeTrack + 1;
+      return this.importAudio(args.file_name, trackNumber, args.section);
+    }
+  }
+
+  /**
+   * Decodes a dropped file and writes it onto a track.
+   * @param {string | undefined} fileName The file to import. Matching is
+   *   case-insensitive and accepts part of the name. Defaults to the most
+   *   recently dropped file.
+   * @param {number} trackNumber One-based track number.
+   * @param {string} [sectionName] The section to place the audio at. Defaults
+   *   to the start of the song.
+   * @returns {Promise<string>} A summary of the import.
+   */
+  async importAudio(fileName, trackNumber, sectionName) {
+    const file = this.#findFile(fileName);
+    if (!file) {
+      return fileName
+        ? `No dropped file matches "${fileName}".`
+        : 'Drop an audio file onto the page first.';
+    }
+
+    const track = this.#tapeDeckEngine.tracks[trackNumber - 1];
+    if (!track) {
+      return `Invalid track number: ${trackNumber}.`;
+    }
+
+    let startTime = 0;
+    if (sectionName) {
+      startTime = this.#songState.getSectionStartTime(sectionName);
+      if (startTime === -1) {
+        return `Section "${sectionName}" not found.`;
+      }
+    }
+
+    // decodeAudioData resamples to the context's sample rate.
+    const audioBuffer = await this.#audioContext.decodeAudioData(await file.arrayBuffer());
+    const { left, right } = this.#toStereo(audioBuffer);
+    // Playback reads the tape ahead by the latency compensation, so the audio
+    // goes that far in to be heard on the beat.
+    const startFrame = Math.round(
+      (startTime + track.latencyCompensation) * this.#audioContext.sampleRate);
+    this.#tapeDeckEngine.writeAudio(trackNumber - 1, left, right, startFrame);
+    return `Imported ${file.name} onto track ${trackNumber} at ${startTime.toFixed(2)}s.`;
+  }
+
+  /**
+   * @param {string | undefined} fileName
+   * @returns {File | undefined}
+   */
+  #findFile(fileName) {
+    const files = [...this.#files.values()];
+    if (!fileName) {
+      return files[files.length - 1];
+    }
+    const needle = fileName.toLowerCase();
+    return this.#files.get(fileName)
+      ?? files.find(file => file.name.toLowerCase().includes(needle));
+  }
+
+  /**
+   * Converts decoded audio to stereo. Mono is duplicated into both channels.
+   * Otherwise even channels are summed to the left and odd channels to the
+   * right.
+   * @param {AudioBuffer} audioBuffer
+   * @returns {{left: Float32Array, right: Float32Array}}
+   */
+  #toStereo(audioBuffer) {
+    if (audioBuffer.numberOfChannels === 1) {
+      const mono = audioBuffer.getChannelData(0);
+      return { left: mono, right: mono.slice() };
+    }
+    const left = new Float32Array(audioBuffer.length);
+    const right = new Float32Array(audioBuffer.length);
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      const channelData = audioBuffer.getChannelData(c);
+      const target = (c % 2 === 0) ? left : right;
+      for (let i = 0; i < channelData.length; i++) {
+        target[i] += channelData[i];
+      }
+    }
+    return { left, right };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+// @ts-check
+
+// The test signal is a maximum length sequence from a 15-bit shift register:
+// 32767 samples, about 0.7 seconds at 48kHz. Its autocorrelation is a single
+// sharp peak, so it can be found in a noisy recording at a modest level.
+const MLS_ORDER = 15;
+// Loud enough to survive a trip through speakers and a microphone, quiet
+// enough not to hurt through headphones.
+const TEST_SIGNAL_LEVEL = 0.25;
+// How far the correlation peak must stand above the correlation's RMS level.
+// Noise alone rarely gets past 5; a real loopback is well over 50.
+const MIN_PEAK_TO_RMS = 10;
+
+/** The longest round-trip latency that can be measured. */
+export const MAX_LATENCY_SECONDS = 1;
+
+/**
+ * Creates the test signal played during calibration.
+ * @returns {Float32Array}
+ */
+export function createTestSignal() {
+  const length = (1 << MLS_ORDER) - 1;
+  const signal = new Float32Array(length);
+  // Fibonacci LFSR with the primitive polynomial x^15 + x^14 + 1.
+  let register = 1;
+  for (let i = 0; i < length; i++) {
+    const bit = ((register >> 14) ^ (register >> 13)) & 1;
+    register = ((register << 1) | bit) & 0x7fff;
+    signal[i] = bit ? TEST_SIGNAL_LEVEL : -TEST_SIGNAL_LEVEL;
+  }
+  return signal;
+}
+
+/**
+ * Finds where the test signal starts in a recording by cross-correlation.
+ * @param {Float32Array} recorded Input captured from the moment the test
+ *   signal was played.
+ * @param {Float32Array} signal The test signal.
+ * @returns {number | null} The delay in frames, or null if the signal could
+ *   not be found clearly.
+ */
+export function measureLatency(recorded, signal) {
+  const maxLag = recorded.length - signal.length;
+  if (maxLag < 0) return null;
+
+  let size = 1;
+  while (size < recorded.length + signal.length) size <<= 1;
+  const recordedRe = new Float64Array(size);
+  const recordedIm = new Float64Array(size);
+  const signalRe = new Float64Array(size);
+  const signalIm = new Float64Array(size);
+  recordedRe.set(recorded);
+  signalRe.set(signal);
+  fft(recordedRe, recordedIm, false);
+  fft(signalRe, signalIm, false);
+
+  // Multiplying by the conjugate of the signal's spectrum correlates.
+  for (let i = 0; i < size; i++) {
+    const re = recordedRe[i] * signalRe[i] + recordedIm[i] * signalIm[i];
+    const im = recordedIm[i] * signalRe[i] - recordedRe[i] * signalIm[i];
+    recordedRe[i] = re;
+    recordedIm[i] = im;
+  }
+  fft(recordedRe, recordedIm, true);
+
+  // A loopback with inverted polarity gives a negative peak.
+  let peakLag = 0;
+  let peak = 0;
+  let sumOfSquares = 0;
+  for (let lag = 0; lag <= maxLag; lag++) {
+    const value = Math.abs(recordedRe[lag]);
+    sumOfSquares += value * value;
+    if (value > peak) {
+      peak = value;
+      peakLag = lag;
+    }
+  }
+  const rms = Math.sqrt(sumOfSquares / (maxLag + 1));
+  if (peak === 0 || peak < MIN_PEAK_TO_RMS * rms) return null;
+  return peakLag;
+}
+
+/**
+ * In-place iterative radix-2 FFT. The length must be a power of two.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {boolean} inverse Whether to compute the inverse transform, scaled by 1/n.
+ */
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
\ No newline at end of file
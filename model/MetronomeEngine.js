@@ -2,6 +2,9 @@
 
 import { ToolHandler } from '../controller/ToolHandler.js';
 
+// A gain of 0.5.
+const DEFAULT_VOLUME_DB = 20 * Math.log10(0.5);
+
 /**
  * Manages the MetronomeProcessor, controlling its state and volume.
  * @implements {ToolHandler}
@@ -15,6 +18,20 @@ export class MetronomeEngine extends ToolHandler {
   #workletNode = null;
   /** @type {GainNode | null} */
   #gainNode = null;
+  /** @type {number} The click's volume while the metronome is running. */
+  #volumeDB = DEFAULT_VOLUME_DB;
+  /** @type {AudioNode | null} The mixer's master bus, if the click can be routed through it. */
+  #masterInput;
+  /** @type {'master' | 'direct'} Whether the click goes through the master bus or around it. */
+  #route = 'direct';
+  /** @type {AudioNode | null} Feeds the click to the players' cue mixes. */
+  #cueInput;
+  /** @type {AudioNode} Where the click goes when it bypasses the master bus. */
+  #directOutput;
+  /** @type {GainNode | null} Silences the cue mixes' click while stopped. */
+  #cueGainNode = null;
+  /** @type {import('./SessionStore.js').SessionStore | null} */
+  #sessionStore;
 
   /**
    * The path to the audio worklet processor.
@@ -26,10 +43,20 @@ export class MetronomeEngine extends ToolHandler {
    * Asynchronously creates and initializes a MetronomeEngine instance.
    * @param {AudioContext} audioContext The global audio context.
    * @param {import('./SongState.js').SongState} songState The application's song state.
+   * @param {AudioNode | null} [masterInput] The mixer's master bus input.
+   *   If omitted, the click always goes straight to the destination.
+   * @param {AudioNode | null} [cueInput] Where to send the click for the cue
+   *   mixes. Its level there does not follow the metronome volume.
+   * @param {AudioNode | null} [directOutput] Where the click goes when it is
+   *   not routed through the master bus. Defaults to the destination.
+   * @param {import('./SessionStore.js').SessionStore | null} [sessionStore]
+   *   Where the click's route is persisted. If omitted, nothing is persisted.
    * @returns {Promise<MetronomeEngine>}
    */
-  static async create(audioContext, songState) {
-    const engine = new MetronomeEngine(audioContext, songState);
+  static async create(audioContext, songState, masterInput = null, cueInput = null,
+    directOutput = null, sessionStore = null) {
+    const engine = new MetronomeEngine(
+      audioContext, songState, masterInput, cueInput, directOutput, sessionStore);
     await engine.#initialize();
     return engine;
   }
@@ -38,11 +65,19 @@ export class MetronomeEngine extends ToolHandler {
    * @private
    * @param {AudioContext} audioContext The global audio context.
    * @param {import('./SongState.js').SongState} songState The application's song state.
+   * @param {AudioNode | null} masterInput The mixer's master bus input, if any.
+   * @param {AudioNode | null} cueInput The cue mixes' click input, if any.
+   * @param {AudioNode | null} directOutput The direct click output, if not the destination.
+   * @param {import('./SessionStore.js').SessionStore | null} sessionStore The session store, if any.
    */
-  constructor(audioContext, songState) {
+  constructor(audioContext, songState, masterInput, cueInput, directOutput, sessionStore) {
     super();
     this.#audioContext = audioContext;
     this.#songState = songState;
+    this.#masterInput = masterInput;
+    this.#cueInput = cueInput;
+    this.#directOutput = directOutput ?? audioContext.destination;
+    this.#sessionStore = sessionStore;
 
     this.#songState.addEventListener('song-state-changed', this.#handleSongStateChange.bind(this));
   }
@@ -64,9 +99,40 @@ export class MetronomeEngine extends ToolHandler {
     this.#gainNode.gain.value = 0; // Start with metronome off
 
     this.#workletNode.connect(this.#gainNode);
-    this.#gainNode.connect(this.#audioContext.destination);
+    this.#gainNode.connect(this.#directOutput);
+
+    if (this.#cueInput) {
+      this.#cueGainNode = this.#audioContext.createGain();
+      this.#cueGainNode.gain.value = 0;
+      this.#workletNode.connect(this.#cueGainNode);
+      this.#cueGainNode.connect(this.#cueInput);
+    }
 
     this.#handleSongStateChange(); // Initial sync
+    await this.#restore();
+  }
+
+  /**
+   * Restores the click's route from the session store.
+   */
+  async #restore() {
+    if (!this.#sessionStore) return;
+    try {
+      const state = await this.#sessionStore.loadValue('metronome');
+      if (state?.route === 'master' || state?.route === 'direct') {
+        this.#setRoute(state.route);
+      }
+    } catch (e) {
+      console.error('Failed to restore the metronome settings.', e);
+    }
+  }
+
+  /**
+   * Saves the click's route to the session store.
+   */
+  #saveState() {
+    this.#sessionStore?.saveValue('metronome', { route: this.#route })
+      .catch((e) => console.error('Failed to save metronome settings.', e));
   }
 
   /**
@@ -93,6 +159,24 @@ export class MetronomeEngine extends ToolHandler {
     return ['set_metronome_properties'].includes(toolName);
   }
 
+  /**
+   * @override
+   * @param {string} toolName
+   * @param {object} args
+   * @returns {{toolName: string, args: object} | null}
+   */
+  getInverse(toolName, args) {
+    if (toolName !== 'set_metronome_properties') return null;
+    const previous = {};
+    if (args.volumeDB !== undefined) {
+      previous.volumeDB = this.#volumeDB;
+    }
+    if (args.route !== undefined) {
+      previous.route = this.#route;
+    }
+    return Object.keys(previous).length > 0 ? { toolName, args: previous } : null;
+  }
+
   /**
    * @override
    * @param {string} toolName
@@ -102,6 +186,10 @@ export class MetronomeEngine extends ToolHandler {
     switch (toolName) {
       case 'set_metronome_properties':
         this.#setVolume(args.volumeDB);
+        if (args.route !== undefined) {
+          this.#setRoute(args.route);
+          this.#saveState();
+        }
         break;
     }
   }
@@ -112,8 +200,33 @@ export class MetronomeEngine extends ToolHandler {
   #setVolume(volumeDB) {
     if (!this.#gainNode) throw new Error('Gain node is not initialized.');
     if (volumeDB === undefined) return;
-    const gain = Math.pow(10, volumeDB / 20);
-    this.#gainNode.gain.setValueAtTime(gain, this.#audioContext.currentTime);
+    this.#volumeDB = volumeDB;
+    this.#gainNode.gain.setValueAtTime(this.#volumeGain, this.#audioContext.currentTime);
+  }
+
+  /**
+   * @returns {number} The linear gain for the current volume.
+   */
+  get #volumeGain() {
+    return Math.pow(10, this.#volumeDB / 20);
+  }
+
+  /**
+   * Sends the click through the mixer's master bus, so that it follows the
+   * master level and limiter, or straight to the main outputs.
+   * @param {'master' | 'direct'} route
+   */
+  #setRoute(route) {
+    if (!this.#gainNode) throw new Error('Gain node is not initialized.');
+    if (route === this.#route) return;
+    if (route === 'master' && !this.#masterInput) {
+      console.warn('There is no master bus to route the metronome through.');
+      return;
+    }
+    this.#gainNode.disconnect();
+    this.#gainNode.connect(route === 'master' && this.#masterInput
+      ? this.#masterInput : this.#directOutput);
+    this.#route = route;
   }
 
   /**
@@ -123,10 +236,8 @@ export class MetronomeEngine extends ToolHandler {
   start(startFrame) {
     if (!this.#gainNode || !this.#workletNode) throw new Error('Gain node or worklet node is not initialized.');
     console.log('Starting metronome...');
-    // If gain is 0, set it to a default value.
-    if (this.#gainNode.gain.value === 0) {
-      this.#gainNode.gain.setValueAtTime(0.5, this.#audioContext.currentTime); // Default volume
-    }
+    this.#gainNode.gain.setValueAtTime(this.#volumeGain, this.#audioContext.currentTime);
+    this.#cueGainNode?.gain.setValueAtTime(1, this.#audioContext.currentTime);
     this.#workletNode.port.postMessage({ 
       type: 'update', 
       value: { startFrame } });
@@ -136,5 +247,6 @@ export class MetronomeEngine extends ToolHandler {
     if (!this.#gainNode) return;
     console.log('Stopping metronome.');
     this.#gainNode.gain.setValueAtTime(0, this.#audioContext.currentTime);
+    this.#cueGainNode?.gain.setValueAtTime(0, this.#audioContext.currentTime);
   }
 }
\ No newline at end of file
@@ -2,25 +2,130 @@
 
 import { ToolHandler } from '../controller/ToolHandler.js';
 
+/**
+ * @typedef {object} ChannelState
+ * @property {number} gainDB
+ * @property {number} levelDB
+ * @property {number} pan
+ * @property {boolean} mute
+ * @property {boolean} solo
+ * @property {number} saturation The saturation knob, from 0 to 100.
+ * @property {number} reverbSend Send level to the reverb bus, from 0 to 1.
+ * @property {number} lowCutHz High-pass filter cutoff. 0 turns it off.
+ * @property {number} bassDB Low shelf gain.
+ * @property {number} midDB Mid peaking gain.
+ * @property {number} midHz Mid peaking centre frequency.
+ * @property {number} trebleDB High shelf gain.
+ * @property {number} compressorThresholdDB
+ * @property {number} compressorRatio 1 bypasses the compressor.
+ * @property {number} compressorAttack Seconds.
+ * @property {number} compressorRelease Seconds.
+ * @property {number} compressorMakeupDB
+ *
+ * @typedef {object} ReverbState
+ * @property {number} size Length of the reverb tail in seconds.
+ * @property {number} decay How quickly the tail dies away. Higher is faster.
+ * @property {number} preDelay Delay before the reverb starts, in seconds.
+ * @property {number} returnDB Level of the reverb return in decibels.
+ *
+ * @typedef {object} CueSendState
+ * @property {number} levelDB
+ * @property {number} pan
+ * @property {boolean} mute
+ *
+ * @typedef {object} CueState
+ * @property {string} player Whose headphones the cue mix is for.
+ * @property {number} outputPair Output pair 1 is outputs 1-2, which carry the
+ *   main mix; pair 2 is outputs 3-4, and so on.
+ * @property {number} levelDB Overall level of the cue mix.
+ * @property {number} clickDB Level of the metronome in the cue mix.
+ * @property {CueSendState[]} sends One per mixer channel.
+ *
+ * @typedef {object} MixerState
+ * @property {ChannelState[]} channels
+ * @property {ReverbState} [reverb]
+ * @property {number} [masterLevelDB]
+ * @property {CueState[]} [cues]
+ * @property {Object<string, ChannelState[]>} [scenes] Saved channel settings by scene name.
+ *
+ * @typedef {object} MeterReading
+ * @property {number} peakDB
+ * @property {number} rmsDB
+ */
+
+// EQ corner frequencies. Only the mid band can be moved.
+const BASS_SHELF_HZ = 120;
+const TREBLE_SHELF_HZ = 8000;
+const DEFAULT_MID_HZ = 1000;
+// Below the audible range, so the high-pass filter has no effect.
+const LOW_CUT_OFF_HZ = 10;
+// The update_channel_eq arguments, by the channel setting they change.
+const EQ_ARGS = {
+  lowCutHz: 'low_cut_hz', bassDB: 'bass_db', midDB: 'mid_db', midHz: 'mid_hz', trebleDB: 'treble_db'
+};
+const COMPRESSOR_KEYS = ['compressorThresholdDB', 'compressorRatio', 'compressorAttack',
+  'compressorRelease', 'compressorMakeupDB'];
+
+/**
+ * Maps the single compression knob to compressor settings. 0 is off; 100 is
+ * heavy, 8:1 compression from -40 dB. Makeup gain restores about half of the
+ * level lost at the threshold.
+ * @param {number} amount 0 to 100.
+ * @returns {Partial<ChannelState>}
+ */
+function compressionForAmount(amount) {
+  const a = Math.min(100, Math.max(0, amount)) / 100;
+  const thresholdDB = -40 * a;
+  const ratio = 1 + 7 * a;
+  return {
+    compressorThresholdDB: thresholdDB,
+    compressorRatio: ratio,
+    compressorAttack: 0.01,
+    compressorRelease: 0.15,
+    compressorMakeupDB: -thresholdDB * (1 - 1 / ratio) * 0.5,
+  };
+}
+
+/** @type {ReverbState} */
+const DEFAULT_REVERB = { size: 2, decay: 3, preDelay: 0.02, returnDB: 0 };
+// The update_reverb arguments, by the reverb setting they change.
+const REVERB_ARGS = { size: 'size', decay: 'decay', preDelay: 'pre_delay', returnDB: 'return_db' };
+
+const SCENE_TOOLS = ['save_mix_scene', 'recall_mix_scene', 'delete_mix_scene'];
+// The longest crossfade recall_mix_scene allows.
+const MAX_CROSSFADE_SECONDS = 10;
+const CUE_TOOLS = ['create_cue_mix', 'remove_cue_mix', 'update_cue_mix', 'set_cue_send', 'set_cue_click'];
+
+// Drive at the top of the saturation knob.
+const MAX_DRIVE_DB = 30;
+
 // Implements saturation using a tanh function.
 class Saturator {
+  /** @type {BaseAudioContext} */
+  #audioContext;
   /** @type {GainNode} */
   #gainNode;
   /** @type {WaveShaperNode} */
   #waveShaperNode;
+  /** @type {GainNode} Compensates for the drive, so quiet signals keep their level. */
+  #levelNode;
+  /** @type {number} */
+  #gainAtZero = 10.0;
 
   /**
    * 
-   * @param {AudioContext} audioContext 
+   * @param {BaseAudioContext} audioContext 
    */
   constructor(audioContext) {
+    this.#audioContext = audioContext;
     this.#gainNode = audioContext.createGain();
-    const gainAtZero = 10.0;
-    this.#gainNode.gain.value = 1 / gainAtZero;
+    this.#gainNode.gain.value = 1 / this.#gainAtZero;
     this.#waveShaperNode = audioContext.createWaveShaper();
-    this.#waveShaperNode.curve = this.#createCurve(255, gainAtZero);
+    this.#waveShaperNode.curve = this.#createCurve(255, this.#gainAtZero);
+    this.#levelNode = audioContext.createGain();
 
     this.#gainNode.connect(this.#waveShaperNode);
+    this.#waveShaperNode.connect(this.#levelNode);
   }
 
   get inputNode() { return this.#gainNode; }
@@ -30,7 +135,18 @@ class Saturator {
    * @param {AudioNode} node 
    */
   connect(node) {
-    this.#waveShaperNode.connect(node);
+    this.#levelNode.connect(node);
+  }
+
+  /**
+   * Drives the curve harder and turns the output down by the same amount.
+   * @param {number} driveDB
+   */
+  setDrive(driveDB) {
+    const now = this.#audioContext.currentTime;
+    const drive = Math.pow(10, driveDB / 20);
+    this.#gainNode.gain.setValueAtTime(drive / this.#gainAtZero, now);
+    this.#levelNode.gain.setValueAtTime(1 / drive, now);
   }
 
   /**
@@ -73,13 +189,353 @@ class Saturator {
   }
 }
 
+/**
+ * Measures the most recent block of audio seen by an analyser.
+ * @param {AnalyserNode} analyser
+ * @param {Float32Array} buffer Scratch space of `analyser.fftSize` samples.
+ * @returns {MeterReading}
+ */
+export function readMeter(analyser, buffer) {
+  analyser.getFloatTimeDomainData(buffer);
+  let peak = 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    peak = Math.max(peak, Math.abs(buffer[i]));
+    sumOfSquares += buffer[i] * buffer[i];
+  }
+  const toDB = (/** @type {number} */ x) => x > 0 ? 20 * Math.log10(x) : -Infinity;
+  return { peakDB: toDB(peak), rmsDB: toDB(Math.sqrt(sumOfSquares / buffer.length)) };
+}
+
+/**
+ * @class MasterBus
+ * @description Sums every channel and the reverb return, with a master fader
+ * and a safety limiter. The limiter catches peaks, and a hard clip at full
+ * scale stops anything it lets through, so nothing louder than 0 dBFS ever
+ * reaches the headphones. Each cue mix has one too.
+ */
+class MasterBus {
+  /** @type {BaseAudioContext} */
+  #audioContext;
+  /** @type {GainNode} */
+  inputNode;
+  /** @type {GainNode} */
+  #levelNode;
+  /** @type {DynamicsCompressorNode} */
+  #limiterNode;
+  /** @type {WaveShaperNode} */
+  #clipperNode;
+  #levelDB = 0;
+
+  /**
+   * @param {BaseAudioContext} audioContext
+   */
+  constructor(audioContext) {
+    this.#audioContext = audioContext;
+    this.inputNode = audioContext.createGain();
+    this.#levelNode = audioContext.createGain();
+
+    this.#limiterNode = audioContext.createDynamicsCompressor();
+    this.#limiterNode.threshold.value = -1;
+    this.#limiterNode.knee.value = 0;
+    this.#limiterNode.ratio.value = 20;
+    this.#limiterNode.attack.value = 0.001;
+    this.#limiterNode.release.value = 0.05;
+
+    // A straight line from -1 to 1. The wave shaper clamps its input to that
+    // range, so this passes audio unchanged and clips anything beyond it.
+    this.#clipperNode = audioContext.createWaveShaper();
+    this.#clipperNode.curve = new Float32Array([-1, 1]);
+
+    this.inputNode.connect(this.#levelNode);
+    this.#levelNode.connect(this.#limiterNode);
+    this.#limiterNode.connect(this.#clipperNode);
+  }
+
+  /**
+   * @param {AudioNode} node
+   */
+  connect(node) {
+    this.#clipperNode.connect(node);
+  }
+
+  /** @returns {number} */
+  get levelDB() {
+    return this.#levelDB;
+  }
+
+  /** @param {number} levelDB */
+  setLevelDB(levelDB) {
+    this.#levelDB = levelDB;
+    const gain = Math.pow(10, levelDB / 20);
+    this.#levelNode.gain.setValueAtTime(gain, this.#audioContext.currentTime);
+  }
+
+  /**
+   * @returns {number} How much the limiter is reducing the level, in decibels.
+   */
+  get limiterReductionDB() {
+    return -this.#limiterNode.reduction;
+  }
+}
+
+/**
+ * @class CueBus
+ * @description A headphone mix for one player. Each mixer channel is sent to
+ * it with its own level and pan, taken before the channel's pan, fader, mute
+ * and solo, so that changes to the main mix do not change what the player
+ * hears. The metronome has its own send. The mix goes through the same level
+ * and limiter as the main mix, so the player's headphones are protected too.
+ */
+class CueBus {
+  /** @type {BaseAudioContext} */
+  #audioContext;
+  /** @type {string} */
+  player;
+  /** @type {Channel[]} */
+  #channels;
+  /** @type {{levelNode: GainNode, pannerNode: StereoPannerNode}[]} */
+  #sends;
+  /** @type {CueSendState[]} */
+  #sendStates;
+  /** @type {AudioNode} */
+  #clickInput;
+  /** @type {GainNode} */
+  #clickNode;
+  /** @type {MasterBus} */
+  #bus;
+  /** @type {ChannelSplitterNode} */
+  #splitterNode;
+  /** @type {ChannelMergerNode | null} The device outputs, if there are more than two. */
+  #outputMerger;
+  #clickDB = 0;
+  #outputPair = 2;
+
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {string} player
+   * @param {Channel[]} channels The mixer channels to take sends from.
+   * @param {AudioNode} clickInput Carries the metronome.
+   * @param {ChannelMergerNode | null} outputMerger
+   */
+  constructor(audioContext, player, channels, clickInput, outputMerger) {
+    this.#audioContext = audioContext;
+    this.player = player;
+    this.#channels = channels;
+    this.#clickInput = clickInput;
+    this.#outputMerger = outputMerger;
+
+    this.#bus = new MasterBus(audioContext);
+    this.#splitterNode = audioContext.createChannelSplitter(2);
+    this.#bus.connect(this.#splitterNode);
+
+    this.#sends = channels.map((channel) => {
+      const levelNode = audioContext.createGain();
+      const pannerNode = audioContext.createStereoPanner();
+      channel.connectCueSend(levelNode);
+      levelNode.connect(pannerNode);
+      pannerNode.connect(this.#bus.inputNode);
+      return { levelNode, pannerNode };
+    });
+    // Start from the main mix, which is usually close to what the player wants.
+    this.#sendStates = channels.map((channel) => {
+      const { levelDB, pan, mute } = channel.getState();
+      return { levelDB, pan, mute };
+    });
+    this.#sendStates.forEach((state, i) => this.setSend(i, state));
+
+    this.#clickNode = audioContext.createGain();
+    this.#clickInput.connect(this.#clickNode);
+    this.#clickNode.connect(this.#bus.inputNode);
+  }
+
+  /**
+   * Whether the audio device has the outputs this cue mix is routed to.
+   * @returns {boolean}
+   */
+  get isAudible() {
+    return !!this.#outputMerger && this.#outputPair * 2 <= this.#outputMerger.numberOfInputs;
+  }
+
+  /**
+   * @param {number} channelIndex
+   * @param {Partial<CueSendState>} settings Missing settings are left unchanged.
+   */
+  setSend(channelIndex, settings) {
+    const state = this.#sendStates[channelIndex];
+    const send = this.#sends[channelIndex];
+    if (!state || !send) return;
+    if (settings.levelDB !== undefined) state.levelDB = settings.levelDB;
+    if (settings.pan !== undefined) state.pan = Math.min(1, Math.max(-1, settings.pan));
+    if (settings.mute !== undefined) state.mute = settings.mute;
+    const now = this.#audioContext.currentTime;
+    const gain = state.mute ? 0 : Math.pow(10, state.levelDB / 20);
+    send.levelNode.gain.setValueAtTime(gain, now);
+    send.pannerNode.pan.setValueAtTime(state.pan, now);
+  }
+
+  /**
+   * @param {number} channelIndex
+   * @returns {CueSendState | undefined}
+   */
+  getSend(channelIndex) {
+    const state = this.#sendStates[channelIndex];
+    return state ? { ...state } : undefined;
+  }
+
+  /** @param {number} clickDB */
+  setClickDB(clickDB) {
+    this.#clickDB = clickDB;
+    this.#clickNode.gain.setValueAtTime(Math.pow(10, clickDB / 20), this.#audioContext.currentTime);
+  }
+
+  /** @param {number} levelDB */
+  setLevelDB(levelDB) {
+    this.#bus.setLevelDB(levelDB);
+  }
+
+  /**
+   * Routes the cue mix to a pair of device outputs. The pair is remembered
+   * even if the device does not have it, so that the mix is heard once a
+   * device with more outputs is connected.
+   * @param {number} outputPair 2 or more. Pair 1 carries the main mix.
+   */
+  setOutputPair(outputPair) {
+    this.#outputPair = Math.max(2, Math.round(outputPair));
+    this.#splitterNode.disconnect();
+    if (this.#outputMerger && this.isAudible) {
+      const left = (this.#outputPair - 1) * 2;
+      this.#splitterNode.connect(this.#outputMerger, 0, left);
+      this.#splitterNode.connect(this.#outputMerger, 1, left + 1);
+    }
+  }
+
+  /** @returns {CueState} */
+  getState() {
+    return {
+      player: this.player,
+      outputPair: this.#outputPair,
+      levelDB: this.#bus.levelDB,
+      clickDB: this.#clickDB,
+      sends: this.#sendStates.map(state => ({ ...state })),
+    };
+  }
+
+  /** @param {Partial<CueState>} state */
+  setState(state) {
+    state.sends?.forEach((send, i) => this.setSend(i, send));
+    if (state.clickDB !== undefined) this.setClickDB(state.clickDB);
+    if (state.levelDB !== undefined) this.setLevelDB(state.levelDB);
+    if (state.outputPair !== undefined) this.setOutputPair(state.outputPair);
+  }
+
+  /**
+   * Disconnects the cue mix from the channels, the metronome and the outputs.
+   */
+  disconnect() {
+    this.#channels.forEach((channel, i) => channel.disconnectCueSend(this.#sends[i].levelNode));
+    this.#clickInput.disconnect(this.#clickNode);
+    this.#splitterNode.disconnect();
+  }
+}
+
+/**
+ * @class ReverbBus
+ * @description A shared reverb return. Channels send to `inputNode`. The
+ * impulse response is generated rather than loaded, so the same reverb can
+ * be rebuilt in an OfflineAudioContext.
+ */
+class ReverbBus {
+  /** @type {BaseAudioContext} */
+  #audioContext;
+  /** @type {GainNode} */
+  inputNode;
+  /** @type {DelayNode} */
+  #preDelayNode;
+  /** @type {ConvolverNode} */
+  #convolverNode;
+  /** @type {GainNode} */
+  #returnNode;
+  /** @type {ReverbState} */
+  #state = { ...DEFAULT_REVERB };
+
+  /**
+   * @param {BaseAudioContext} audioContext
+   */
+  constructor(audioContext) {
+    this.#audioContext = audioContext;
+    this.inputNode = audioContext.createGain();
+    this.#preDelayNode = audioContext.createDelay(1);
+    this.#convolverNode = audioContext.createConvolver();
+    this.#returnNode = audioContext.createGain();
+
+    this.inputNode.connect(this.#preDelayNode);
+    this.#preDelayNode.connect(this.#convolverNode);
+    this.#convolverNode.connect(this.#returnNode);
+    this.setState(this.#state);
+  }
+
+  /**
+   * @param {AudioNode} node
+   */
+  connect(node) {
+    this.#returnNode.connect(node);
+  }
+
+  /**
+   * @returns {ReverbState}
+   */
+  getState() {
+    return { ...this.#state };
+  }
+
+  /**
+   * Applies reverb settings. Missing properties are left unchanged.
+   * @param {Partial<ReverbState>} state
+   */
+  setState(state) {
+    const previous = this.#state;
+    this.#state = { ...previous, ...state };
+    const { size, decay, preDelay, returnDB } = this.#state;
+    const now = this.#audioContext.currentTime;
+    this.#preDelayNode.delayTime.setValueAtTime(Math.min(1, Math.max(0, preDelay)), now);
+    this.#returnNode.gain.setValueAtTime(Math.pow(10, returnDB / 20), now);
+    if (!this.#convolverNode.buffer || size !== previous.size || decay !== previous.decay) {
+      this.#convolverNode.buffer = this.#createImpulseResponse(size, decay);
+    }
+  }
+
+  /**
+   * Generates a stereo impulse response of decaying noise. The noise is
+   * seeded, so the same settings always give the same reverb.
+   * @param {number} size Length in seconds.
+   * @param {number} decay The exponent of the decay envelope.
+   * @returns {AudioBuffer}
+   */
+  #createImpulseResponse(size, decay) {
+    const sampleRate = this.#audioContext.sampleRate;
+    const length = Math.max(1, Math.round(Math.min(10, Math.max(0.1, size)) * sampleRate));
+    const impulse = this.#audioContext.createBuffer(2, length, sampleRate);
+    let seed = 1;
+    for (let c = 0; c < 2; c++) {
+      const data = impulse.getChannelData(c);
+      for (let i = 0; i < length; i++) {
+        // A small linear congruential generator; Math.random can't be seeded.
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        const noise = seed / 0x80000000 - 1;
+        data[i] = noise * Math.pow(1 - i / length, Math.max(0.1, decay));
+      }
+    }
+    return impulse;
+  }
+}
 
 /**
  * @class Channel
  * @description Represents a single channel strip in the mixer, holding state and AudioNodes.
  */
 class Channel {
-  /** @type {AudioContext} */
+  /** @type {BaseAudioContext} */
   #audioContext;
 
   // Nodes
@@ -89,6 +545,20 @@ class Channel {
   #gainNode;
   /** @type {Saturator} For applying soft clipping/saturation. */
   #saturator;
+  /** @type {BiquadFilterNode} For removing rumble and boom. */
+  #highPassNode;
+  /** @type {BiquadFilterNode} */
+  #bassNode;
+  /** @type {BiquadFilterNode} */
+  #midNode;
+  /** @type {BiquadFilterNode} */
+  #trebleNode;
+  /** @type {DynamicsCompressorNode} Only in the signal path when the ratio is above 1. */
+  #compressorNode;
+  /** @type {GainNode} Makeup gain after the compressor. */
+  #makeupNode;
+  /** @type {GainNode} After the EQ and compressor; cue mixes are sent from here. */
+  #preFaderNode;
   /** @type {StereoPannerNode} For panning the audio. */
   #pannerNode;
   /** @type {GainNode} For muting the channel. */
@@ -97,6 +567,8 @@ class Channel {
   #levelNode;
   /** @type {GainNode} The exit point for audio from this channel. */
   outputNode;
+  /** @type {GainNode} The post-fader send to the reverb bus. */
+  #reverbSendNode;
 
   // State
   #pan = 0;
@@ -104,9 +576,24 @@ class Channel {
   #solo = false;
   #gainDB = 0;
   #levelDB = 0;
+  #saturation = 0;
+  #reverbSend = 0;
+  #lowCutHz = 0;
+  #bassDB = 0;
+  #midDB = 0;
+  #midHz = DEFAULT_MID_HZ;
+  #trebleDB = 0;
+  #compressorThresholdDB = 0;
+  #compressorRatio = 1;
+  #compressorAttack = 0.01;
+  #compressorRelease = 0.15;
+  #compressorMakeupDB = 0;
+  #compressorInPath = false;
+  /** @type {number} How long setters take to reach new values. 0 is immediate. */
+  #rampSeconds = 0;
 
   /**
-   * @param {AudioContext} audioContext
+   * @param {BaseAudioContext} audioContext
    */
   constructor(audioContext) {
     this.#audioContext = audioContext;
@@ -115,6 +602,24 @@ class Channel {
     this.#gainNode = this.#audioContext.createGain();
     this.#saturator = new Saturator(audioContext);
 
+    this.#highPassNode = this.#audioContext.createBiquadFilter();
+    this.#highPassNode.type = 'highpass';
+    this.#highPassNode.frequency.value = LOW_CUT_OFF_HZ;
+    this.#bassNode = this.#audioContext.createBiquadFilter();
+    this.#bassNode.type = 'lowshelf';
+    this.#bassNode.frequency.value = BASS_SHELF_HZ;
+    this.#midNode = this.#audioContext.createBiquadFilter();
+    this.#midNode.type = 'peaking';
+    this.#midNode.frequency.value = DEFAULT_MID_HZ;
+    this.#midNode.Q.value = 1;
+    this.#trebleNode = this.#audioContext.createBiquadFilter();
+    this.#trebleNode.type = 'highshelf';
+    this.#trebleNode.frequency.value = TREBLE_SHELF_HZ;
+    this.#compressorNode = this.#audioContext.createDynamicsCompressor();
+    this.#makeupNode = this.#audioContext.createGain();
+    this.#compressorNode.connect(this.#makeupNode);
+    this.#preFaderNode = this.#audioContext.createGain();
+
     this.#pannerNode = this.#audioContext.createStereoPanner();
     this.#muteNode = this.#audioContext.createGain();
     this.#levelNode = this.#audioContext.createGain();
@@ -123,16 +628,59 @@ class Channel {
     // Initial signal path for stereo
     this.inputNode.connect(this.#gainNode);
     this.#gainNode.connect(this.#saturator.inputNode);
-    this.#saturator.connect(this.#pannerNode);
+    this.#saturator.connect(this.#highPassNode);
+    this.#highPassNode.connect(this.#bassNode);
+    this.#bassNode.connect(this.#midNode);
+    this.#midNode.connect(this.#trebleNode);
+    this.#trebleNode.connect(this.#preFaderNode);
+    this.#makeupNode.connect(this.#preFaderNode);
+    this.#preFaderNode.connect(this.#pannerNode);
     this.#pannerNode.connect(this.#levelNode);
     this.#levelNode.connect(this.#muteNode);
     this.#muteNode.connect(this.outputNode);
+
+    this.#reverbSendNode = this.#audioContext.createGain();
+    this.#reverbSendNode.gain.value = 0;
+    this.#muteNode.connect(this.#reverbSendNode);
+  }
+
+  /**
+   * Connects the reverb send to a reverb bus.
+   * @param {AudioNode} node
+   */
+  connectReverbSend(node) {
+    this.#reverbSendNode.connect(node);
+  }
+
+  /**
+   * Sends the channel, before its pan, fader and mute, to a cue mix.
+   * @param {AudioNode} node
+   */
+  connectCueSend(node) {
+    this.#preFaderNode.connect(node);
+  }
+
+  /** @param {AudioNode} node */
+  disconnectCueSend(node) {
+    this.#preFaderNode.disconnect(node);
+  }
+
+  /** @param {number} amount 0 (no reverb) to 1 */
+  setReverbSend(amount) {
+    this.#reverbSend = Math.min(1, Math.max(0, amount));
+    this.#setParam(this.#reverbSendNode.gain, this.#reverbSend);
   }
 
   /** @param {number} panValue -1 to 1 */
   setPan(panValue) {
     this.#pan = panValue;
-    this.#pannerNode.pan.setValueAtTime(panValue, this.#audioContext.currentTime);
+    this.#setParam(this.#pannerNode.pan, panValue);
+  }
+
+  /** @param {number} amount 0 (clean) to 100 */
+  setSaturation(amount) {
+    this.#saturation = Math.min(100, Math.max(0, amount));
+    this.#saturator.setDrive(this.#saturation / 100 * MAX_DRIVE_DB);
   }
 
   /** @param {number} gainDB */
@@ -140,7 +688,7 @@ class Channel {
     this.#gainDB = gainDB;
     // Basic dB to linear conversion: gain = 10^(dB/20)
     const gain = Math.pow(10, gainDB / 20);
-    this.#gainNode.gain.setValueAtTime(gain, this.#audioContext.currentTime);
+    this.#setParam(this.#gainNode.gain, gain);
   }
 
   /** @param {number} levelDB */
@@ -148,7 +696,87 @@ class Channel {
     this.#levelDB = levelDB;
     // Basic dB to linear conversion: gain = 10^(dB/20)
     const gain = Math.pow(10, levelDB / 20);
-    this.#levelNode.gain.setValueAtTime(gain, this.#audioContext.currentTime);
+    this.#setParam(this.#levelNode.gain, gain);
+  }
+
+  /** @param {number} hz The high-pass cutoff, or 0 for no filter. */
+  setLowCutHz(hz) {
+    this.#lowCutHz = Math.max(0, hz);
+    const frequency = Math.max(LOW_CUT_OFF_HZ, this.#lowCutHz);
+    this.#setParam(this.#highPassNode.frequency, frequency);
+  }
+
+  /** @param {number} gainDB */
+  setBassDB(gainDB) {
+    this.#bassDB = gainDB;
+    this.#setParam(this.#bassNode.gain, gainDB);
+  }
+
+  /** @param {number} gainDB */
+  setMidDB(gainDB) {
+    this.#midDB = gainDB;
+    this.#setParam(this.#midNode.gain, gainDB);
+  }
+
+  /** @param {number} hz */
+  setMidHz(hz) {
+    this.#midHz = hz;
+    this.#setParam(this.#midNode.frequency, hz);
+  }
+
+  /** @param {number} gainDB */
+  setTrebleDB(gainDB) {
+    this.#trebleDB = gainDB;
+    this.#setParam(this.#trebleNode.gain, gainDB);
+  }
+
+  /**
+   * Sets the compressor. Missing settings are left unchanged. A ratio of 1
+   * takes the compressor out of the signal path.
+   * @param {{thresholdDB?: number, ratio?: number, attack?: number,
+   *   release?: number, makeupDB?: number}} settings
+   */
+  setCompressor({ thresholdDB, ratio, attack, release, makeupDB }) {
+    if (thresholdDB !== undefined) {
+      this.#compressorThresholdDB = Math.min(0, Math.max(-100, thresholdDB));
+      this.#setParam(this.#compressorNode.threshold, this.#compressorThresholdDB);
+    }
+    if (ratio !== undefined) {
+      this.#compressorRatio = Math.min(20, Math.max(1, ratio));
+      this.#setParam(this.#compressorNode.ratio, this.#compressorRatio);
+    }
+    if (attack !== undefined) {
+      this.#compressorAttack = Math.min(1, Math.max(0, attack));
+      this.#setParam(this.#compressorNode.attack, this.#compressorAttack);
+    }
+    if (release !== undefined) {
+      this.#compressorRelease = Math.min(1, Math.max(0, release));
+      this.#setParam(this.#compressorNode.release, this.#compressorRelease);
+    }
+    if (makeupDB !== undefined) {
+      this.#compressorMakeupDB = makeupDB;
+      this.#setParam(this.#makeupNode.gain, Math.pow(10, makeupDB / 20));
+    }
+
+    const inPath = this.#compressorRatio > 1;
+    if (inPath !== this.#compressorInPath) {
+      this.#compressorInPath = inPath;
+      if (inPath) {
+        this.#trebleNode.disconnect(this.#preFaderNode);
+        this.#trebleNode.connect(this.#compressorNode);
+      } else {
+        this.#trebleNode.disconnect(this.#compressorNode);
+        this.#trebleNode.connect(this.#preFaderNode);
+      }
+    }
+  }
+
+  /**
+   * @returns {number} The compressor's current gain reduction in decibels,
+   *   as a positive number. 0 when the compressor is bypassed.
+   */
+  get gainReductionDB() {
+    return this.#compressorInPath ? -this.#compressorNode.reduction : 0;
   }
 
   /**
@@ -168,9 +796,29 @@ class Channel {
 
   /**
    * @param {boolean} muted 
+   * @param {number} [rampSeconds] How long to take to fade in or out.
    */
-  setMuteLevel(muted) {
-    this.#muteNode.gain.value = muted ? 0.0 : 1.0;
+  setMuteLevel(muted, rampSeconds = 0) {
+    this.#setParam(this.#muteNode.gain, muted ? 0.0 : 1.0, rampSeconds);
+  }
+
+  /**
+   * Moves a parameter to a new value, either immediately or with a linear
+   * fade, replacing any fade that is still in progress.
+   * @param {AudioParam} param
+   * @param {number} value
+   * @param {number} [rampSeconds]
+   */
+  #setParam(param, value, rampSeconds = this.#rampSeconds) {
+    const now = this.#audioContext.currentTime;
+    const current = param.value;
+    param.cancelScheduledValues(now);
+    if (rampSeconds > 0) {
+      param.setValueAtTime(current, now);
+      param.linearRampToValueAtTime(value, now + rampSeconds);
+    } else {
+      param.setValueAtTime(value, now);
+    }
   }
 
   /** @param {boolean} isMuted */
@@ -198,17 +846,95 @@ class Channel {
   isMuted() {
     return this.#mute;
   }
+
+  /**
+   * @returns {ChannelState}
+   */
+  getState() {
+    return {
+      gainDB: this.#gainDB,
+      levelDB: this.#levelDB,
+      pan: this.#pan,
+      mute: this.#mute,
+      solo: this.#solo,
+      saturation: this.#saturation,
+      reverbSend: this.#reverbSend,
+      lowCutHz: this.#lowCutHz,
+      bassDB: this.#bassDB,
+      midDB: this.#midDB,
+      midHz: this.#midHz,
+      trebleDB: this.#trebleDB,
+      compressorThresholdDB: this.#compressorThresholdDB,
+      compressorRatio: this.#compressorRatio,
+      compressorAttack: this.#compressorAttack,
+      compressorRelease: this.#compressorRelease,
+      compressorMakeupDB: this.#compressorMakeupDB,
+    };
+  }
+
+  /**
+   * Applies a saved state. Missing properties are left unchanged.
+   * @param {Partial<ChannelState>} state
+   * @param {number} [rampSeconds] Fade continuous settings such as levels, pan
+   *   and EQ over this long. Saturation and switching the compressor in or
+   *   out still happen immediately.
+   */
+  setState(state, rampSeconds = 0) {
+    this.#rampSeconds = rampSeconds;
+    if (state.gainDB !== undefined) this.setGainDB(state.gainDB);
+    if (state.levelDB !== undefined) this.setLevelDB(state.levelDB);
+    if (state.pan !== undefined) this.setPan(state.pan);
+    if (state.mute !== undefined) this.setMute(state.mute);
+    if (state.solo !== undefined) this.setSolo(state.solo);
+    if (state.saturation !== undefined) this.setSaturation(state.saturation);
+    if (state.reverbSend !== undefined) this.setReverbSend(state.reverbSend);
+    if (state.lowCutHz !== undefined) this.setLowCutHz(state.lowCutHz);
+    if (state.bassDB !== undefined) this.setBassDB(state.bassDB);
+    if (state.midDB !== undefined) this.setMidDB(state.midDB);
+    if (state.midHz !== undefined) this.setMidHz(state.midHz);
+    if (state.trebleDB !== undefined) this.setTrebleDB(state.trebleDB);
+    this.setCompressor({
+      thresholdDB: state.compressorThresholdDB,
+      ratio: state.compressorRatio,
+      attack: state.compressorAttack,
+      release: state.compressorRelease,
+      makeupDB: state.compressorMakeupDB,
+    });
+    this.#rampSeconds = 0;
+  }
 }
 
 /**
  * Manages the audio mixer, including channel strips for volume, panning, and effects.
+ * Emits a `mixer-state-changed` event whenever a channel setting changes.
+ * @extends {EventTarget}
  * @implements {ToolHandler}
  */
-export class MixerEngine extends ToolHandler {
+export class MixerEngine extends EventTarget {
   /** @type {AudioContext} */
   #audioContext;
   /** @type {Channel[]} */
   #channels = [];
+  /** @type {ReverbBus} */
+  #reverb;
+  /** @type {MasterBus} */
+  #master;
+  /** @type {AnalyserNode[]} Left and right meters after the limiter. */
+  #masterAnalysers;
+  /** @type {AnalyserNode[]} One meter per channel, after its fader and mute. */
+  #channelAnalysers = [];
+  /** @type {Float32Array} */
+  #meterBuffer;
+  /** @type {CueBus[]} */
+  #cues = [];
+  /** @type {GainNode} Carries the metronome to the cue mixes. */
+  #cueClickInput;
+  /** @type {ChannelMergerNode | null} The device outputs, if there are more than two. */
+  #outputMerger = null;
+  /** @type {GainNode} Plays on the main output pair, around the master bus. */
+  #mainOutput;
+  /** @type {Map<string, ChannelState[]>} */
+  #scenes = new Map();
 
   /**
    * @param {AudioContext} audioContext The global audio context.
@@ -216,15 +942,113 @@ export class MixerEngine extends ToolHandler {
   constructor(audioContext) {
     super();
     this.#audioContext = audioContext;
+    this.#master = new MasterBus(this.#audioContext);
+    this.#reverb = new ReverbBus(this.#audioContext);
+    this.#reverb.connect(this.#master.inputNode);
+    this.#cueClickInput = this.#audioContext.createGain();
+    // Mono sources are upmixed to both speakers here, as the destination would
+    // do itself if it were not addressing each output separately.
+    this.#mainOutput = this.#audioContext.createGain();
+    this.#mainOutput.channelCount = 2;
+    this.#mainOutput.channelCountMode = 'explicit';
+    this.#mainOutput.channelInterpretation = 'speakers';
+
+    const splitter = this.#audioContext.createChannelSplitter(2);
+    this.#master.connect(splitter);
+    const destination = this.#audioContext.destination;
+    if (destination.maxChannelCount > 2) {
+      // Address each output separately, so that cue mixes can use the outputs
+      // after the first pair.
+      destination.channelCount = destination.maxChannelCount;
+      destination.channelCountMode = 'explicit';
+      destination.channelInterpretation = 'discrete';
+      this.#outputMerger = this.#audioContext.createChannelMerger(destination.maxChannelCount);
+      splitter.connect(this.#outputMerger, 0, 0);
+      splitter.connect(this.#outputMerger, 1, 1);
+      const mainSplitter = this.#audioContext.createChannelSplitter(2);
+      this.#mainOutput.connect(mainSplitter);
+      mainSplitter.connect(this.#outputMerger, 0, 0);
+      mainSplitter.connect(this.#outputMerger, 1, 1);
+      this.#outputMerger.connect(destination);
+    } else {
+      this.#master.connect(destination);
+      this.#mainOutput.connect(destination);
+    }
+    this.#masterAnalysers = [0, 1].map((c) => {
+      const analyser = this.#audioContext.createAnalyser();
+      analyser.fftSize = 2048;
+      splitter.connect(analyser, c);
+      return analyser;
+    });
+    this.#meterBuffer = new Float32Array(2048);
 
     for (let i = 0; i < 16; i++) {
       const channel = new Channel(this.#audioContext);
       this.#channels.push(channel);
-      // By default, connect each channel's output to the main destination
-      channel.outputNode.connect(this.#audioContext.destination);
+      channel.outputNode.connect(this.#master.inputNode);
+      channel.connectReverbSend(this.#reverb.inputNode);
+      const analyser = this.#audioContext.createAnalyser();
+      analyser.fftSize = 2048;
+      channel.outputNode.connect(analyser);
+      this.#channelAnalysers.push(analyser);
     }
   }
 
+  /**
+   * The input of the master bus, for other sources such as the metronome.
+   * @returns {AudioNode}
+   */
+  get masterInput() {
+    return this.#master.inputNode;
+  }
+
+  /**
+   * An input that plays on the main output pair without going through the
+   * master bus, such as the direct click or a test signal. Use this rather
+   * than the destination, which only plays a mono source on the first output
+   * when a multi-output device is in use.
+   * @returns {AudioNode}
+   */
+  get mainOutput() {
+    return this.#mainOutput;
+  }
+
+  /**
+   * The input that feeds the metronome to every cue mix.
+   * @returns {AudioNode}
+   */
+  get cueClickInput() {
+    return this.#cueClickInput;
+  }
+
+  /**
+   * @returns {{left: MeterReading, right: MeterReading, limiterReductionDB: number}}
+   *   The master output level after the limiter, and how hard the limiter is
+   *   working.
+   */
+  getMasterMeter() {
+    return {
+      left: readMeter(this.#masterAnalysers[0], this.#meterBuffer),
+      right: readMeter(this.#masterAnalysers[1], this.#meterBuffer),
+      limiterReductionDB: this.#master.limiterReductionDB,
+    };
+  }
+
+  /**
+   * @param {number} channelIndex
+   * @returns {MeterReading} The channel's output level, after its fader and mute.
+   */
+  getChannelMeter(channelIndex) {
+    return readMeter(this.#channelAnalysers[channelIndex], this.#meterBuffer);
+  }
+
+  /**
+   * @returns {number} The number of channels.
+   */
+  get channelCount() {
+    return this.#channels.length;
+  }
+
   /**
    * 
    * @param {number} channelIndex 
@@ -234,20 +1058,204 @@ export class MixerEngine extends ToolHandler {
     return this.#channels[channelIndex].inputNode;
   }
 
+  /**
+   * Builds a copy of a channel strip in another context, typically an
+   * OfflineAudioContext used to render audio with the monitoring mix applied.
+   * Mute, solo and the reverb send are not applied.
+   * @param {BaseAudioContext} context
+   * @param {number} channelIndex
+   * @returns {{inputNode: AudioNode, outputNode: AudioNode}}
+   */
+  createOfflineChannel(context, channelIndex) {
+    const channel = new Channel(context);
+    const { mute, solo, reverbSend, ...settings } = this.#channels[channelIndex].getState();
+    channel.setState(settings);
+    return channel;
+  }
+
+  /**
+   * Builds a copy of the whole mixer in another context, typically an
+   * OfflineAudioContext used to bounce the monitoring mix. Mute, solo, the
+   * reverb and the master bus are applied as they are in the live mixer.
+   * @param {BaseAudioContext} context
+   * @returns {{channelInputs: AudioNode[], outputNode: AudioNode}}
+   */
+  createOfflineMix(context) {
+    const master = new MasterBus(context);
+    master.setLevelDB(this.#master.levelDB);
+    const outputNode = context.createGain();
+    master.connect(outputNode);
+    const reverb = new ReverbBus(context);
+    reverb.setState(this.#reverb.getState());
+    reverb.connect(master.inputNode);
+    const channels = this.#channels.map((liveChannel) => {
+      const channel = new Channel(context);
+      channel.setState(liveChannel.getState());
+      channel.outputNode.connect(master.inputNode);
+      channel.connectReverbSend(reverb.inputNode);
+      return channel;
+    });
+    this.#updateSoloStates(channels);
+    return { channelInputs: channels.map(ch => ch.inputNode), outputNode };
+  }
+
+  /**
+   * @param {number} channelIndex
+   * @returns {number} How much the channel's compressor is currently reducing
+   *   the level, in decibels. For metering.
+   */
+  getGainReductionDB(channelIndex) {
+    return this.#channels[channelIndex]?.gainReductionDB ?? 0;
+  }
+
+  /**
+   * @returns {MixerState} A serializable snapshot of every channel's settings.
+   */
+  getState() {
+    return {
+      channels: this.#channels.map(ch => ch.getState()),
+      reverb: this.#reverb.getState(),
+      masterLevelDB: this.#master.levelDB,
+      cues: this.#cues.map(cue => cue.getState()),
+      scenes: Object.fromEntries(this.#scenes),
+    };
+  }
+
+  /**
+   * Restores a snapshot previously returned by `getState`.
+   * @param {MixerState} state
+   */
+  setState(state) {
+    if (!state || !Array.isArray(state.channels)) return;
+    state.channels.forEach((channelState, i) => {
+      this.#channels[i]?.setState(channelState);
+    });
+    if (state.reverb) {
+      this.#reverb.setState(state.reverb);
+    }
+    if (state.masterLevelDB !== undefined) {
+      this.#master.setLevelDB(state.masterLevelDB);
+    }
+    if (state.scenes) {
+      this.#scenes = new Map(Object.entries(state.scenes));
+    }
+    if (Array.isArray(state.cues)) {
+      this.#cues.forEach(cue => cue.disconnect());
+      this.#cues = [];
+      for (const cueState of state.cues) {
+        const cue = this.#createCue(cueState.player);
+        cue.setState(cueState);
+        this.#cues.push(cue);
+      }
+    }
+    this.#updateSoloStates();
+    this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+  }
+
   /**
    * @override
    */
   canHandle(toolName) {
-    return toolName === 'update_mixer_channel';
+    return ['update_mixer_channel', 'set_channel_volume', 'set_channel_pan',
+      'toggle_channel_mute', 'set_channel_saturation', 'update_reverb',
+      'update_channel_eq', 'set_channel_compression', 'set_master_level',
+      ...CUE_TOOLS, ...SCENE_TOOLS].includes(toolName);
   }
 
   /**
    * @override
    * @param {string} toolName
    * @param {object} args
+   * @returns {{toolName: string, args: object} | null}
    */
-  async callTool(toolName, args) {
+  getInverse(toolName, args) {
     if (toolName === 'update_mixer_channel') {
+      const channel = this.#channels[args.channel - 1];
+      if (!channel) return null;
+      const state = channel.getState();
+      const previous = { channel: args.channel };
+      for (const key of ['gainDB', 'levelDB', 'pan', 'mute', 'solo', 'saturation', 'reverbSend']) {
+        if (args[key] !== undefined) previous[key] = state[key];
+      }
+      return { toolName, args: previous };
+    } else if (toolName === 'set_channel_volume') {
+      const channel = this.#channels[args.channel - 1];
+      return channel ? { toolName, args: { channel: args.channel, level_db: channel.getState().levelDB } } : null;
+    } else if (toolName === 'set_channel_pan') {
+      const channel = this.#channels[args.channel - 1];
+      return channel ? { toolName, args: { channel: args.channel, pan: channel.getState().pan } } : null;
+    } else if (toolName === 'toggle_channel_mute') {
+      return { toolName, args: { channel: args.channel } };
+    } else if (toolName === 'set_channel_saturation') {
+      const channel = this.#channels[args.channel - 1];
+      return channel ? { toolName, args: { channel: args.channel, amount: channel.getState().saturation } } : null;
+    } else if (toolName === 'update_channel_eq') {
+      const channel = this.#channels[args.channel - 1];
+      if (!channel) return null;
+      const state = channel.getState();
+      const previous = { channel: args.channel };
+      for (const [key, arg] of Object.entries(EQ_ARGS)) {
+        if (args[arg] !== undefined) previous[arg] = state[key];
+      }
+      return { toolName, args: previous };
+    } else if (toolName === 'set_channel_compression') {
+      const channel = this.#channels[args.channel - 1];
+      if (!channel) return null;
+      const state = channel.getState();
+      return {
+        toolName,
+        args: {
+          channel: args.channel,
+          threshold_db: state.compressorThresholdDB,
+          ratio: state.compressorRatio,
+          attack: state.compressorAttack,
+          release: state.compressorRelease,
+          makeup_db: state.compressorMakeupDB,
+        }
+      };
+    } else if (toolName === 'set_master_level') {
+      return { toolName, args: { level_db: this.#master.levelDB } };
+    } else if (CUE_TOOLS.includes(toolName)) {
+      return this.#getCueInverse(toolName, args);
+    } else if (SCENE_TOOLS.includes(toolName)) {
+      return this.#getSceneInverse(toolName, args);
+    } else if (toolName === 'update_reverb') {
+      const state = this.#reverb.getState();
+      const previous = {};
+      for (const [key, arg] of Object.entries(REVERB_ARGS)) {
+        if (args[arg] !== undefined) previous[arg] = state[key];
+      }
+      return { toolName, args: previous };
+    }
+    return null;
+  }
+
+  /**
+   * @override
+   * @param {string} toolName
+   * @param {object} args
+   * @returns {Promise<string|void>}
+   */
+  async callTool(toolName, args) {
+    if (['set_channel_volume', 'set_channel_pan', 'toggle_channel_mute',
+      'set_channel_saturation'].includes(toolName)) {
+      const channel = this.#channels[args.channel - 1];
+      if (!channel) {
+        console.error(`Invalid channel number: ${args.channel}`);
+        return;
+      }
+      if (toolName === 'set_channel_volume') {
+        channel.setLevelDB(args.level_db);
+      } else if (toolName === 'set_channel_pan') {
+        channel.setPan(Math.min(1, Math.max(-1, args.pan)));
+      } else if (toolName === 'toggle_channel_mute') {
+        channel.setMute(!channel.isMuted());
+        this.#updateSoloStates();
+      } else {
+        channel.setSaturation(args.amount);
+      }
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+    } else if (toolName === 'update_mixer_channel') {
       const channelIndex = args.channel - 1;
       if (channelIndex < 0 || channelIndex >= this.#channels.length) {
         console.error(`Invalid channel number: ${args.channel}`);
@@ -272,31 +1280,278 @@ export class MixerEngine extends ToolHandler {
         channel.setSolo(args.solo);
         this.#updateSoloStates();
       }
+      if (args.saturation !== undefined) {
+        channel.setSaturation(args.saturation);
+      }
+      if (args.reverbSend !== undefined) {
+        channel.setReverbSend(args.reverbSend);
+      }
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+    } else if (toolName === 'update_channel_eq') {
+      const channel = this.#channels[args.channel - 1];
+      if (!channel) {
+        console.error(`Invalid channel number: ${args.channel}`);
+        return;
+      }
+      const settings = {};
+      for (const [key, arg] of Object.entries(EQ_ARGS)) {
+        if (args[arg] !== undefined) settings[key] = args[arg];
+      }
+      channel.setState(settings);
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+    } else if (toolName === 'set_channel_compression') {
+      const channel = this.#channels[args.channel - 1];
+      if (!channel) {
+        console.error(`Invalid channel number: ${args.channel}`);
+        return;
+      }
+      // The amount knob sets everything; explicit settings then override it.
+      if (args.amount !== undefined) {
+        channel.setState(compressionForAmount(args.amount));
+      }
+      channel.setCompressor({
+        thresholdDB: args.threshold_db, ratio: args.ratio, attack: args.attack,
+        release: args.release, makeupDB: args.makeup_db,
+      });
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+    } else if (toolName === 'set_master_level') {
+      this.#master.setLevelDB(args.level_db);
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+    } else if (CUE_TOOLS.includes(toolName)) {
+      const result = this.#callCueTool(toolName, args);
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+      return result;
+    } else if (SCENE_TOOLS.includes(toolName)) {
+      const result = this.#callSceneTool(toolName, args);
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+      return result;
+    } else if (toolName === 'update_reverb') {
+      const settings = {};
+      for (const [key, arg] of Object.entries(REVERB_ARGS)) {
+        if (args[arg] !== undefined) settings[key] = args[arg];
+      }
+      this.#reverb.setState(settings);
+      this.dispatchEvent(new CustomEvent('mixer-state-changed'));
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string | undefined} The name the scene was saved under, which
+   *   may differ in case.
+   */
+  #findSceneName(name) {
+    const wanted = String(name ?? '').trim().toLowerCase();
+    return [...this.#scenes.keys()].find(key => key.toLowerCase() === wanted);
+  }
+
+  /**
+   * Undoing a save restores what the scene held before, and undoing a recall
+   * restores the channels as they were, so both carry a snapshot of channel
+   * settings in a `channels` argument that the LLM does not use.
+   * @param {string} toolName One of SCENE_TOOLS.
+   * @param {object} args
+   * @returns {{toolName: string, args: object} | null}
+   */
+  #getSceneInverse(toolName, args) {
+    const existing = this.#findSceneName(args.name);
+    if (toolName === 'save_mix_scene') {
+      return existing
+        ? { toolName, args: { name: existing, channels: this.#scenes.get(existing) } }
+        : { toolName: 'delete_mix_scene', args: { name: args.name } };
+    } else if (toolName === 'recall_mix_scene') {
+      if (!existing && !args.channels) return null;
+      return {
+        toolName,
+        args: {
+          name: 'the previous mix',
+          channels: this.#channels.map(ch => ch.getState()),
+          crossfade_seconds: args.crossfade_seconds,
+        }
+      };
+    } else if (toolName === 'delete_mix_scene') {
+      return existing
+        ? { toolName: 'save_mix_scene', args: { name: existing, channels: this.#scenes.get(existing) } }
+        : null;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} toolName One of SCENE_TOOLS.
+   * @param {object} args
+   * @returns {string} A summary of what changed.
+   */
+  #callSceneTool(toolName, args) {
+    const existing = this.#findSceneName(args.name);
+    if (toolName === 'save_mix_scene') {
+      const name = existing ?? String(args.name).trim();
+      this.#scenes.set(name, args.channels ?? this.#channels.map(ch => ch.getState()));
+      return `Saved the mix as "${name}".`;
+    }
+
+    const sceneNames = [...this.#scenes.keys()].map(key => `"${key}"`).join(', ') || 'none';
+    if (toolName === 'recall_mix_scene') {
+      const channelStates = args.channels ?? (existing && this.#scenes.get(existing));
+      if (!channelStates) {
+        console.error(`There is no mix scene named ${args.name}`);
+        return `There is no mix scene named "${args.name}". Saved scenes: ${sceneNames}.`;
+      }
+      const rampSeconds = Math.min(MAX_CROSSFADE_SECONDS, Math.max(0, args.crossfade_seconds ?? 0));
+      channelStates.forEach((channelState, i) => {
+        this.#channels[i]?.setState(channelState, rampSeconds);
+      });
+      this.#updateSoloStates(this.#channels, rampSeconds);
+      return `Recalled "${existing ?? args.name}".`;
+    } else if (toolName === 'delete_mix_scene') {
+      if (!existing) {
+        return `There is no mix scene named "${args.name}". Saved scenes: ${sceneNames}.`;
+      }
+      this.#scenes.delete(existing);
+      return `Deleted the mix scene "${existing}".`;
+    }
+    return '';
+  }
+
+  /**
+   * @param {string} player
+   * @returns {CueBus | undefined}
+   */
+  #findCue(player) {
+    const name = String(player ?? '').trim().toLowerCase();
+    return this.#cues.find(cue => cue.player.toLowerCase() === name);
+  }
+
+  /**
+   * @param {string} player
+   * @returns {CueBus} A new cue mix, not yet added to the mixer.
+   */
+  #createCue(player) {
+    const cue = new CueBus(this.#audioContext, player, this.#channels,
+      this.#cueClickInput, this.#outputMerger);
+    // Until told otherwise, use the first pair of outputs no one else has.
+    const usedPairs = this.#cues.map(c => c.getState().outputPair);
+    let outputPair = 2;
+    while (usedPairs.includes(outputPair)) outputPair++;
+    cue.setOutputPair(outputPair);
+    return cue;
+  }
+
+  /**
+   * Undoing remove_cue_mix creates the cue mix again with every setting it
+   * had, passed in a `cue` argument that the LLM does not use.
+   * @param {string} toolName One of CUE_TOOLS.
+   * @param {object} args
+   * @returns {{toolName: string, args: object} | null}
+   */
+  #getCueInverse(toolName, args) {
+    if (toolName === 'create_cue_mix') {
+      return this.#findCue(args.player) ? null : { toolName: 'remove_cue_mix', args: { player: args.player } };
+    }
+    const cue = this.#findCue(args.player);
+    if (!cue) return null;
+    const state = cue.getState();
+    if (toolName === 'remove_cue_mix') {
+      return { toolName: 'create_cue_mix', args: { player: cue.player, cue: state } };
+    } else if (toolName === 'update_cue_mix') {
+      const previous = { player: args.player };
+      if (args.level_db !== undefined) previous.level_db = state.levelDB;
+      if (args.output_pair !== undefined) previous.output_pair = state.outputPair;
+      return { toolName, args: previous };
+    } else if (toolName === 'set_cue_send') {
+      const send = cue.getSend(args.channel - 1);
+      if (!send) return null;
+      return {
+        toolName,
+        args: { player: args.player, channel: args.channel, level_db: send.levelDB, pan: send.pan, mute: send.mute }
+      };
+    } else if (toolName === 'set_cue_click') {
+      return { toolName, args: { player: args.player, level_db: state.clickDB } };
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} toolName One of CUE_TOOLS.
+   * @param {object} args
+   * @returns {string} A summary of what changed.
+   */
+  #callCueTool(toolName, args) {
+    if (toolName === 'create_cue_mix') {
+      if (this.#findCue(args.player)) {
+        return `${args.player} already has a cue mix.`;
+      }
+      const cue = this.#createCue(String(args.player).trim());
+      if (args.cue) {
+        cue.setState(args.cue);
+      }
+      if (args.output_pair !== undefined) {
+        cue.setOutputPair(args.output_pair);
+      }
+      this.#cues.push(cue);
+      const { outputPair } = cue.getState();
+      const outputs = `outputs ${outputPair * 2 - 1}-${outputPair * 2}`;
+      return cue.isAudible
+        ? `Created a cue mix for ${cue.player} on ${outputs}.`
+        : `Created a cue mix for ${cue.player}, but the audio device does not have ${outputs}.`;
+    }
+
+    const cue = this.#findCue(args.player);
+    if (!cue) {
+      console.error(`There is no cue mix for ${args.player}`);
+      return `There is no cue mix for ${args.player}.`;
+    }
+    if (toolName === 'remove_cue_mix') {
+      cue.disconnect();
+      this.#cues.splice(this.#cues.indexOf(cue), 1);
+      return `Removed the cue mix for ${cue.player}.`;
+    } else if (toolName === 'update_cue_mix') {
+      if (args.level_db !== undefined) cue.setLevelDB(args.level_db);
+      if (args.output_pair !== undefined) cue.setOutputPair(args.output_pair);
+      return `Updated the cue mix for ${cue.player}.`;
+    } else if (toolName === 'set_cue_send') {
+      const send = cue.getSend(args.channel - 1);
+      if (!send) {
+        console.error(`Invalid channel number: ${args.channel}`);
+        return `Invalid channel number: ${args.channel}.`;
+      }
+      let levelDB = args.level_db ?? send.levelDB;
+      if (args.change_db !== undefined) levelDB += args.change_db;
+      cue.setSend(args.channel - 1, { levelDB, pan: args.pan, mute: args.mute });
+      return `Channel ${args.channel} is at ${levelDB.toFixed(1)} dB in ${cue.player}'s mix.`;
+    } else if (toolName === 'set_cue_click') {
+      let clickDB = args.level_db ?? cue.getState().clickDB;
+      if (args.change_db !== undefined) clickDB += args.change_db;
+      cue.setClickDB(clickDB);
+      return `The click is at ${clickDB.toFixed(1)} dB in ${cue.player}'s mix.`;
     }
+    return '';
   }
 
   /**
    * Updates the output connections of all channels based on the current solo
    * states. If any channel is soloed, only soloed channels are connected to
    * the destination. Otherwise, all non-muted channels are connected.
+   * @param {Channel[]} [channels] Defaults to the live mixer's channels.
+   * @param {number} [rampSeconds] How long to take to fade channels in or out.
    */
-  #updateSoloStates() {
-    const anySolo = this.#channels.some(ch => ch.isSoloed());
+  #updateSoloStates(channels = this.#channels, rampSeconds = 0) {
+    const anySolo = channels.some(ch => ch.isSoloed());
 
-    for (const channel of this.#channels) {
+    for (const channel of channels) {
       if (anySolo) {
         // Something is soloed, so we should hear everything soloed.
         if (!channel.isSoloed()) {
-          channel.setMuteLevel(true);
+          channel.setMuteLevel(true, rampSeconds);
         } else {
-          channel.setMuteLevel(false);
+          channel.setMuteLevel(false, rampSeconds);
         }
       } else {
         // Nothing is soloed, so only mute the muted channels
         if (channel.isMuted()) {
-          channel.setMuteLevel(true);
+          channel.setMuteLevel(true, rampSeconds);
         } else {
-          channel.setMuteLevel(false);
+          channel.setMuteLevel(false, rampSeconds);
         }
       }
     }
@@ -3,25 +3,34 @@
 const FRAMES_PER_QUANTUM = 128;
 
 /**
- * An AudioWorkletProcessor that plays back a given audio buffer in a loop.
- * The loop region can be controlled by k-rate AudioParams.
+ * An AudioWorkletProcessor that plays back a track in a loop. The track is
+ * given as chunks of `processorOptions.chunkFrames` frames, and missing chunks
+ * play as silence. The loop region can be controlled by k-rate AudioParams.
  *
  * @class PlaybackProcessor
  * @extends AudioWorkletProcessor
  */
 class PlaybackProcessor extends AudioWorkletProcessor {
-  /** @type {Float32Array} */
-  #leftBuffer = new Float32Array(0);
-  /** @type {Float32Array} */
-  #rightBuffer = new Float32Array(0);
+  // The chunks are either copies owned by this processor, or views of
+  // SharedArrayBuffers that the Track writes into while we play.
+  /** @type {(Float32Array | undefined)[]} */
+  #leftChunks = [];
+  /** @type {(Float32Array | undefined)[]} */
+  #rightChunks = [];
+  /** @type {number} */
+  #chunkFrames;
 
   /** @type {boolean} Whether to loop playback. */
   #loop = false;
   /** @type {number} The `currentFrame` when playback should start. */
   #startFrame = -1;
 
-  constructor() {
+  /**
+   * @param {AudioWorkletNodeOptions} options
+   */
+  constructor(options) {
     super();
+    this.#chunkFrames = options.processorOptions.chunkFrames;
     this.port.onmessage = this.#handleMessage.bind(this);
   }
 
@@ -53,9 +62,9 @@ class PlaybackProcessor extends AudioWorkletProcessor {
    */
   #handleMessage(event) {
     const { type, data } = event.data;
-    if (type === 'set_buffers') {
-      this.#leftBuffer = data.left;
-      this.#rightBuffer = data.right;
+    if (type === 'set_chunk') {
+      this.#leftChunks[data.index] = data.left;
+      this.#rightChunks[data.index] = data.right;
     } else if (type === 'start') {
       this.#startFrame = data.startFrame;
       this.#loop = data.loop;
@@ -75,8 +84,8 @@ class PlaybackProcessor extends AudioWorkletProcessor {
     const leftChannel = output[0];
     const rightChannel = output.length > 1 ? output[1] : null;
 
-    if (this.#startFrame === -1 || this.#leftBuffer.length === 0) {
-      // Not started or no buffer, output silence.
+    if (this.#startFrame === -1 || this.#leftChunks.length === 0) {
+      // Not started or nothing recorded, output silence.
       return true;
     }
 
@@ -87,7 +96,7 @@ class PlaybackProcessor extends AudioWorkletProcessor {
     const loopStartFrame = Math.floor(loopStartParam * sampleRate);
     const loopDurationFrames = (loopDurationParam > 0)
       ? Math.floor(loopDurationParam * sampleRate)
-      : this.#leftBuffer.length - loopStartFrame;
+      : this.#leftChunks.length * this.#chunkFrames - loopStartFrame;
 
     if (loopDurationFrames <= 0) {
       return true; // Nothing to play.
@@ -114,8 +123,10 @@ class PlaybackProcessor extends AudioWorkletProcessor {
       }
 
       if (bufferFrameIndex < loopEndFrame) {
-        leftChannel[i] = this.#leftBuffer[bufferFrameIndex] ?? 0;
-        if (rightChannel) rightChannel[i] = this.#rightBuffer[bufferFrameIndex] || 0;
+        const chunkIndex = Math.floor(bufferFrameIndex / this.#chunkFrames);
+        const chunkOffset = bufferFrameIndex - chunkIndex * this.#chunkFrames;
+        leftChannel[i] = this.#leftChunks[chunkIndex]?.[chunkOffset] ?? 0;
+        if (rightChannel) rightChannel[i] = this.#rightChunks[chunkIndex]?.[chunkOffset] ?? 0;
       }
     }
 
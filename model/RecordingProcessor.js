@@ -1,10 +1,16 @@
+import { FRAMES_PER_SLOT, SLOT_COUNT, WRITE_INDEX, READ_INDEX, DROPPED_FRAMES } from './RecordingRing.js';
+
 const CHUNKS_PER_POST = 16;
 // An AudioWorkletProcessor is given 128 frames per channel at a time.
 const FRAMES_PER_CHUNK = 128;
 const BUFFER_SIZE = CHUNKS_PER_POST * FRAMES_PER_CHUNK;
 
 /**
- * An AudioWorkletProcessor that records incoming audio and posts it back to the main thread.
+ * An AudioWorkletProcessor that records incoming audio. Given a recording ring
+ * in `processorOptions.ring`, each quantum is written into the ring for the
+ * recording worker to drain, without allocating or posting anything. Otherwise
+ * the audio is posted back to the main thread, and a `{type: 'flush'}` message
+ * posts whatever is buffered, followed by `{type: 'flushed'}`.
  * It processes stereo audio, but will downmix mono to stereo if needed.
  *
  * @class RecorderWorkletProcessor
@@ -19,10 +25,24 @@ class RecorderWorkletProcessor extends AudioWorkletProcessor {
   #rightBuffer = new Float32Array(BUFFER_SIZE);
   /** @type {number} */
   #firstFrameNumber = -1;
+  /** @type {import('./RecordingRing.js').RecordingRing | null} */
+  #ring = null;
 
-  constructor() {
+  /**
+   * @param {AudioWorkletNodeOptions} [options]
+   */
+  constructor(options) {
     super();
-    // The processor is always active and posting messages.
+    // The processor is always active and recording.
+    this.#ring = options?.processorOptions?.ring ?? null;
+    if (!this.#ring) {
+      this.port.onmessage = (event) => {
+        if (event.data.type === 'flush') {
+          this.#post();
+          this.port.postMessage({ type: 'flushed' });
+        }
+      };
+    }
   }
 
   /**
@@ -36,6 +56,11 @@ class RecorderWorkletProcessor extends AudioWorkletProcessor {
       return true;
     }
 
+    if (this.#ring) {
+      this.#writeToRing(inputs, this.#ring);
+      return true;
+    }
+
     if (this.#chunksWritten === 0) {
       this.#firstFrameNumber = currentFrame;
     }
@@ -57,21 +82,63 @@ class RecorderWorkletProcessor extends AudioWorkletProcessor {
     this.#chunksWritten++;
 
     if (this.#chunksWritten === CHUNKS_PER_POST) {
-      // Post our own buffers back to the main thread and transfer their ownership.
-      this.port.postMessage({
-        left: this.#leftBuffer,
-        right: this.#rightBuffer,
-        frameNumber: this.#firstFrameNumber
-      }, [this.#leftBuffer.buffer, this.#rightBuffer.buffer]);
-
-      // Prepare for the next batch
-      this.#leftBuffer = new Float32Array(BUFFER_SIZE);
-      this.#rightBuffer = new Float32Array(BUFFER_SIZE);
-      this.#chunksWritten = 0;
+      this.#post();
     }
 
     return true;
   }
+
+  /**
+   * Posts our own buffers back to the main thread and transfers their
+   * ownership. The buffers may be partly filled.
+   */
+  #post() {
+    if (this.#chunksWritten === 0) return;
+    const length = this.#chunksWritten * FRAMES_PER_CHUNK;
+    this.port.postMessage({
+      left: this.#leftBuffer.subarray(0, length),
+      right: this.#rightBuffer.subarray(0, length),
+      frameNumber: this.#firstFrameNumber
+    }, [this.#leftBuffer.buffer, this.#rightBuffer.buffer]);
+
+    // Prepare for the next batch
+    this.#leftBuffer = new Float32Array(BUFFER_SIZE);
+    this.#rightBuffer = new Float32Array(BUFFER_SIZE);
+    this.#chunksWritten = 0;
+  }
+
+  /**
+   * Sums the inputs into the next slot of the ring, as in `process`. If the
+   * worker has fallen behind and the ring is full, the quantum is dropped and
+   * counted instead.
+   * @param {Float32Array[][]} inputs
+   * @param {import('./RecordingRing.js').RecordingRing} ring
+   */
+  #writeToRing(inputs, ring) {
+    const writeIndex = Atomics.load(ring.header, WRITE_INDEX);
+    const nextIndex = (writeIndex + 1) % SLOT_COUNT;
+    if (nextIndex === Atomics.load(ring.header, READ_INDEX)) {
+      Atomics.add(ring.header, DROPPED_FRAMES, FRAMES_PER_SLOT);
+      return;
+    }
+
+    const offset = writeIndex * FRAMES_PER_SLOT;
+    ring.left.fill(0, offset, offset + FRAMES_PER_SLOT);
+    ring.right.fill(0, offset, offset + FRAMES_PER_SLOT);
+    for (const input of inputs) {
+      for (let channelIndex = 0; channelIndex < input.length; channelIndex++) {
+        const channelData = input[channelIndex];
+        const targetBuffer = (channelIndex % 2 === 0) ? ring.left : ring.right;
+        for (let i = 0; i < channelData.length; i++) {
+          targetBuffer[offset + i] += channelData[i];
+        }
+      }
+    }
+    ring.frameNumbers[writeIndex] = currentFrame;
+    // Publish the slot only once it is complete.
+    Atomics.store(ring.header, WRITE_INDEX, nextIndex);
+    Atomics.notify(ring.header, WRITE_INDEX);
+  }
 }
 
 registerProcessor('recorder-worklet-processor', RecorderWorkletProcessor);
\ No newline at end of file
@@ -0,0 +1,57 @@
+// @ts-check
+
+// An AudioWorkletProcessor is given 128 frames per channel at a time, and the
+// ring holds one render quantum per slot.
+export const FRAMES_PER_SLOT = 128;
+// About 1.4 seconds at 48kHz. The worker only needs to keep up on average.
+export const SLOT_COUNT = 512;
+
+// Indices into the ring's Int32 header.
+/** The next slot the worklet will write. Only the worklet stores it. */
+export const WRITE_INDEX = 0;
+/** The next slot the worker will read. Only the worker stores it. */
+export const READ_INDEX = 1;
+/** Frames the worklet discarded because the ring was full. */
+export const DROPPED_FRAMES = 2;
+/**
+ * One past the last tape frame the worker has punched into the armed track
+ * during the current recording. Only the worker stores it.
+ */
+export const RECORDED_FRAME = 3;
+const HEADER_LENGTH = 4;
+
+/**
+ * @typedef {object} RecordingRing
+ * @property {Int32Array} header See WRITE_INDEX, READ_INDEX, DROPPED_FRAMES and
+ *   RECORDED_FRAME.
+ * @property {Float64Array} frameNumbers The context frame of each slot's first frame.
+ * @property {Float32Array} left SLOT_COUNT slots of FRAMES_PER_SLOT frames.
+ * @property {Float32Array} right
+ */
+
+/**
+ * Whether the ring can be shared between the recording worklet and worker.
+ * @returns {boolean}
+ */
+export function canCreateRecordingRing() {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Allocates a single-producer, single-consumer ring of recorded quanta. The
+ * worklet writes a slot and then advances WRITE_INDEX; the worker reads up to
+ * WRITE_INDEX and then advances READ_INDEX. One slot is always left empty so
+ * that a full ring can be told apart from an empty one.
+ * @returns {RecordingRing}
+ */
+export function createRecordingRing() {
+  /** @param {number} bytes */
+  const shared = (bytes) => new SharedArrayBuffer(bytes);
+  const samples = SLOT_COUNT * FRAMES_PER_SLOT;
+  return {
+    header: new Int32Array(shared(HEADER_LENGTH * Int32Array.BYTES_PER_ELEMENT)),
+    frameNumbers: new Float64Array(shared(SLOT_COUNT * Float64Array.BYTES_PER_ELEMENT)),
+    left: new Float32Array(shared(samples * Float32Array.BYTES_PER_ELEMENT)),
+    right: new Float32Array(shared(samples * Float32Array.BYTES_PER_ELEMENT)),
+  };
+}
\ No newline at end of file
@@ -0,0 +1,250 @@
+// @ts-check
+
+import {
+  FRAMES_PER_SLOT, SLOT_COUNT, WRITE_INDEX, READ_INDEX, DROPPED_FRAMES, RECORDED_FRAME
+} from './RecordingRing.js';
+import { TrackChunks } from './TrackChunks.js';
+
+// How often the ring is drained. The ring holds well over a second of audio,
+// so this only needs to be frequent enough to keep recording responsive.
+const DRAIN_INTERVAL_MS = 10;
+
+/**
+ * Drains the recording ring filled by the recording worklet, off the main
+ * thread, so that a busy main thread cannot make the worklet drop audio.
+ * Recordings are punched straight into the armed track's shared chunks, so
+ * the main thread only hears about dropouts and finished passes.
+ *
+ * Messages in:
+ *   {type: 'start', ring: RecordingRing}
+ *   {type: 'capture', enabled: boolean}
+ *     Whether to post the audio, e.g. for latency calibration. While
+ *     disabled, which is the initial state, the ring is emptied without
+ *     copying anything.
+ *   {type: 'record', startFrame: number, punchInFrame: number,
+ *    punchOutFrame: number, fadeFrames: number, loop: boolean, chunks: TrackChunk[]}
+ *     Records the input from context frame `startFrame` in passes over the
+ *     punch window. `chunks` are the armed track's shared chunks over the
+ *     window. Unless looping, the input is punched into them as it arrives,
+ *     and the tape frame written up to is published at RECORDED_FRAME.
+ *   {type: 'finish', endFrame: number}
+ *     Stops recording at context frame `endFrame`, after draining the ring.
+ * Messages out:
+ *   {type: 'audio', left: Float32Array, right: Float32Array, frameNumber: number}
+ *     Contiguous captured audio starting at context frame `frameNumber`.
+ *   {type: 'dropout', frameNumber: number, frames: number, totalDropped: number}
+ *     `frames` of audio starting at `frameNumber` were lost.
+ *   {type: 'pass', number: number, left: Float32Array, right: Float32Array,
+ *    length: number, complete: boolean}
+ *     The input recorded over one pass. A pass that recording stopped in the
+ *     middle of is not complete.
+ *   {type: 'finished'}
+ *     The recording is over, and punched out of the track unless looping.
+ */
+
+/**
+ * @typedef {object} Recording
+ * @property {number} startFrame The context frame at the punch-in point.
+ * @property {number} endFrame The context frame where recording stops.
+ * @property {number} punchInFrame
+ * @property {number} passLength
+ * @property {boolean} loop
+ * @property {TrackChunks} chunks
+ * @property {{number: number, left: Float32Array, right: Float32Array, length: number} | null} pass
+ */
+
+/** @type {import('./RecordingRing.js').RecordingRing | null} */
+let ring = null;
+/** @type {number} The context frame expected after the last drained slot. */
+let expectedFrame = -1;
+/** @type {boolean} Whether to post the input, e.g. for latency calibration. */
+let capturing = false;
+/** @type {Recording | null} */
+let recording = null;
+
+/**
+ * Records or copies every slot written since the last call. Copies are posted,
+ * split wherever the frame numbers are not contiguous.
+ */
+function drain() {
+  if (!ring) return;
+  const readIndex = Atomics.load(ring.header, READ_INDEX);
+  const writeIndex = Atomics.load(ring.header, WRITE_INDEX);
+  const slotCount = (writeIndex - readIndex + SLOT_COUNT) % SLOT_COUNT;
+  if (slotCount === 0) return;
+  if (!capturing && !recording) {
+    Atomics.store(ring.header, READ_INDEX, writeIndex);
+    expectedFrame = -1;
+    return;
+  }
+
+  const batchFrames = recording ? 0 : slotCount * FRAMES_PER_SLOT;
+  const left = new Float32Array(batchFrames);
+  const right = new Float32Array(batchFrames);
+  let length = 0;
+  let batchStartFrame = -1;
+
+  const post = () => {
+    if (length === 0) return;
+    const batchLeft = left.slice(0, length);
+    const batchRight = right.slice(0, length);
+    self.postMessage({ type: 'audio', left: batchLeft, right: batchRight, frameNumber: batchStartFrame },
+      [batchLeft.buffer, batchRight.buffer]);
+    length = 0;
+  };
+
+  for (let i = 0; i < slotCount; i++) {
+    const slot = (readIndex + i) % SLOT_COUNT;
+    const frameNumber = ring.frameNumbers[slot];
+    if (expectedFrame !== -1 && frameNumber > expectedFrame) {
+      post();
+      self.postMessage({
+        type: 'dropout',
+        frameNumber: expectedFrame,
+        frames: frameNumber - expectedFrame,
+        totalDropped: Atomics.load(ring.header, DROPPED_FRAMES),
+      });
+    }
+    const offset = slot * FRAMES_PER_SLOT;
+    const slotLeft = ring.left.subarray(offset, offset + FRAMES_PER_SLOT);
+    const slotRight = ring.right.subarray(offset, offset + FRAMES_PER_SLOT);
+    if (recording) {
+      record(recording, slotLeft, slotRight, frameNumber);
+    } else if (batchFrames > 0) {
+      if (length === 0) {
+        batchStartFrame = frameNumber;
+      }
+      left.set(slotLeft, length);
+      right.set(slotRight, length);
+      length += FRAMES_PER_SLOT;
+    }
+    expectedFrame = frameNumber + FRAMES_PER_SLOT;
+  }
+  // Free the slots before posting, so the worklet can reuse them sooner.
+  Atomics.store(ring.header, READ_INDEX, writeIndex);
+  post();
+}
+
+/**
+ * Records a drained slot, skipping anything outside the recording and
+ * splitting it where it crosses from one pass over the punch window into the
+ * next, as `TapeDeckEngine` does with audio posted through the main thread.
+ * @param {Recording} current
+ * @param {Float32Array} left
+ * @param {Float32Array} right
+ * @param {number} frameNumber The context frame of the slot's first frame.
+ */
+function record(current, left, right, frameNumber) {
+  let offset = Math.max(0, current.startFrame - frameNumber);
+  const end = Math.min(left.length, current.endFrame - frameNumber);
+  while (offset < end && recording === current) {
+    const elapsed = frameNumber + offset - current.startFrame;
+    const passNumber = Math.floor(elapsed / current.passLength);
+    const position = elapsed - passNumber * current.passLength;
+    const count = Math.min(end - offset, current.passLength - position);
+    capture(current, passNumber, left.subarray(offset, offset + count),
+      right.subarray(offset, offset + count), position);
+    offset += count;
+
+    if (position + count === current.passLength) {
+      completePass(current, true);
+      if (!current.loop) {
+        // Punch out, but the transport keeps running to the end of the range.
+        finishRecording();
+      }
+    }
+  }
+}
+
+/**
+ * Captures input for the current pass. Unless loop recording, the input is
+ * also punched into the track as it arrives.
+ * @param {Recording} current
+ * @param {number} passNumber Zero-based pass over the punch window.
+ * @param {Float32Array} left
+ * @param {Float32Array} right
+ * @param {number} position Frames from the punch-in point.
+ */
+function capture(current, passNumber, left, right, position) {
+  if (current.pass && current.pass.number !== passNumber) {
+    completePass(current, true);
+  }
+  if (!current.pass) {
+    current.pass = {
+      number: passNumber,
+      left: new Float32Array(current.passLength),
+      right: new Float32Array(current.passLength),
+      length: 0,
+    };
+  }
+  current.pass.left.set(left, position);
+  current.pass.right.set(right, position);
+  current.pass.length = Math.max(current.pass.length, position + left.length);
+
+  if (!current.loop && ring) {
+    const startFrame = current.punchInFrame + position;
+    current.chunks.writePunched(left, right, startFrame);
+    Atomics.store(ring.header, RECORDED_FRAME, startFrame + left.length);
+  }
+}
+
+/**
+ * Posts the current pass, if any, for the main thread to make takes of.
+ * @param {Recording} current
+ * @param {boolean} complete Whether the pass covered the whole punch window.
+ */
+function completePass(current, complete) {
+  const pass = current.pass;
+  current.pass = null;
+  if (!pass) return;
+  self.postMessage({ type: 'pass', ...pass, complete }, [pass.left.buffer, pass.right.buffer]);
+}
+
+/**
+ * Ends the recording, punching out of the track early if it stopped inside
+ * the punch window.
+ */
+function finishRecording() {
+  const current = recording;
+  if (!current) return;
+  recording = null;
+  completePass(current, false);
+  if (!current.loop) {
+    current.chunks.punchOut();
+  }
+  self.postMessage({ type: 'finished' });
+}
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+  if (type === 'start') {
+    ring = event.data.ring;
+    expectedFrame = -1;
+    setInterval(drain, DRAIN_INTERVAL_MS);
+  } else if (type === 'capture') {
+    capturing = event.data.enabled;
+  } else if (type === 'record' && ring) {
+    const { startFrame, punchInFrame, punchOutFrame, fadeFrames, loop } = event.data;
+    // Every chunk in the window is handed over, so none is allocated here,
+    // where the track would never see it.
+    const chunks = new TrackChunks(true);
+    for (const { index, left, right } of event.data.chunks) {
+      chunks.set(index, { left, right });
+    }
+    if (!loop) {
+      chunks.punchIn(punchInFrame, punchOutFrame, fadeFrames);
+    }
+    Atomics.store(ring.header, RECORDED_FRAME, punchInFrame);
+    recording = {
+      startFrame, endFrame: Infinity, punchInFrame,
+      passLength: punchOutFrame - punchInFrame, loop, chunks, pass: null,
+    };
+  } else if (type === 'finish') {
+    // Input up to the stop may still be in the ring.
+    if (recording) {
+      recording.endFrame = event.data.endFrame;
+      drain();
+    }
+    finishRecording();
+  }
+};
\ No newline at end of file
@@ -0,0 +1,218 @@
+// @ts-check
+
+const DB_NAME = 'tape-monkey';
+const DB_VERSION = 3;
+const SESSION_STORE = 'session';
+const TRACK_CHUNK_STORE = 'track-chunks';
+const TAKE_STORE = 'takes';
+const HISTORY_STORE = 'tape-history';
+
+/**
+ * @typedef {object} TrackChunk
+ * @property {number} index The chunk number within the track.
+ * @property {Float32Array} left The left channel audio data.
+ * @property {Float32Array} right The right channel audio data.
+ *
+ * @typedef {object} StoredTake
+ * @property {number} track Zero-based track index.
+ * @property {string} section The section the take was recorded over.
+ * @property {number} number The take number.
+ * @property {Float32Array} left The left channel audio data.
+ * @property {Float32Array} right The right channel audio data.
+ */
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for a transaction to finish.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * @class SessionStore
+ * @description Persists the session in IndexedDB. Small values (song sheet,
+ * mixer settings, transport settings) are stored by key, and recorded audio is
+ * stored as fixed-size chunks per track so that it can be saved incrementally
+ * while recording.
+ */
+export class SessionStore {
+  /** @type {IDBDatabase} */
+  #db;
+
+  /**
+   * Opens (and if needed creates) the session database.
+   * @returns {Promise<SessionStore>}
+   */
+  static async open() {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available.');
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) {
+        db.createObjectStore(SESSION_STORE);
+      }
+      if (!db.objectStoreNames.contains(TRACK_CHUNK_STORE)) {
+        db.createObjectStore(TRACK_CHUNK_STORE, { keyPath: ['track', 'index'] });
+      }
+      if (!db.objectStoreNames.contains(TAKE_STORE)) {
+        db.createObjectStore(TAKE_STORE, { keyPath: ['track', 'section', 'number'] });
+      }
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+      }
+    };
+    const db = await promisify(request);
+    return new SessionStore(db);
+  }
+
+  /**
+   * @private
+   * @param {IDBDatabase} db
+   */
+  constructor(db) {
+    this.#db = db;
+  }
+
+  /**
+   * Stores a structured-cloneable value under a key.
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async saveValue(key, value) {
+    const transaction = this.#db.transaction(SESSION_STORE, 'readwrite');
+    transaction.objectStore(SESSION_STORE).put(value, key);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>} The stored value, or undefined if there is none.
+   */
+  async loadValue(key) {
+    const transaction = this.#db.transaction(SESSION_STORE, 'readonly');
+    return promisify(transaction.objectStore(SESSION_STORE).get(key));
+  }
+
+  /**
+   * Stores (or replaces) audio chunks for a track.
+   * @param {number} trackIndex Zero-based track index.
+   * @param {TrackChunk[]} chunks
+   * @returns {Promise<void>}
+   */
+  async saveTrackChunks(trackIndex, chunks) {
+    if (chunks.length === 0) return;
+    const transaction = this.#db.transaction(TRACK_CHUNK_STORE, 'readwrite');
+    const store = transaction.objectStore(TRACK_CHUNK_STORE);
+    for (const chunk of chunks) {
+      store.put({
+        track: trackIndex,
+        index: chunk.index,
+        left: chunk.left,
+        right: chunk.right
+      });
+    }
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Loads all stored audio chunks for a track, ordered by chunk index.
+   * @param {number} trackIndex Zero-based track index.
+   * @returns {Promise<TrackChunk[]>}
+   */
+  async loadTrackChunks(trackIndex) {
+    const transaction = this.#db.transaction(TRACK_CHUNK_STORE, 'readonly');
+    const range = IDBKeyRange.bound([trackIndex, 0], [trackIndex, Infinity]);
+    const records = await promisify(
+      transaction.objectStore(TRACK_CHUNK_STORE).getAll(range));
+    return records.map(({ index, left, right }) => ({ index, left, right }));
+  }
+
+  /**
+   * @param {StoredTake} take
+   * @returns {Promise<void>}
+   */
+  async saveTake(take) {
+    const transaction = this.#db.transaction(TAKE_STORE, 'readwrite');
+    transaction.objectStore(TAKE_STORE).put(take);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} number
+   * @returns {Promise<void>}
+   */
+  async deleteTake(trackIndex, sectionName, number) {
+    const transaction = this.#db.transaction(TAKE_STORE, 'readwrite');
+    transaction.objectStore(TAKE_STORE).delete([trackIndex, sectionName, number]);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * @returns {Promise<StoredTake[]>} Every stored take.
+   */
+  async loadTakes() {
+    const transaction = this.#db.transaction(TAKE_STORE, 'readonly');
+    return promisify(transaction.objectStore(TAKE_STORE).getAll());
+  }
+
+  /**
+   * Stores (or replaces) undo history entries.
+   * @param {import('./TapeHistory.js').TapeEdit[]} edits
+   * @returns {Promise<void>}
+   */
+  async saveHistoryEntries(edits) {
+    if (edits.length === 0) return;
+    const transaction = this.#db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    for (const edit of edits) {
+      store.put(edit);
+    }
+    await transactionDone(transaction);
+  }
+
+  /**
+   * @param {number[]} ids
+   * @returns {Promise<void>}
+   */
+  async deleteHistoryEntries(ids) {
+    if (ids.length === 0) return;
+    const transaction = this.#db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    for (const id of ids) {
+      store.delete(id);
+    }
+    await transactionDone(transaction);
+  }
+
+  /**
+   * @returns {Promise<import('./TapeHistory.js').TapeEdit[]>} Every stored history entry.
+   */
+  async loadHistoryEntries() {
+    const transaction = this.#db.transaction(HISTORY_STORE, 'readonly');
+    return promisify(transaction.objectStore(HISTORY_STORE).getAll());
+  }
+}
\ No newline at end of file
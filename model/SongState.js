@@ -1,6 +1,11 @@
 // @ts-check
 
 import { ToolHandler } from '../controller/ToolHandler.js';
+
+// Used when the song sheet doesn't give a tempo or time signature.
+const DEFAULT_BPM = 120;
+const DEFAULT_BEATS_PER_BAR = 4;
+
 /**
  * @typedef {import('../controller/ToolSchemas.js').ToolSchemas} ToolSchemas
  * @typedef {object} SongSection
@@ -140,8 +145,8 @@ export class SongState extends EventTarget {
    */
   serialize() {
     this.#title ||= 'No Title';
-    this.#bpm ||= 120;
-    this.#beatsPerBar ||= 4;
+    this.#bpm ||= DEFAULT_BPM;
+    this.#beatsPerBar ||= DEFAULT_BEATS_PER_BAR;
 
     let text = `# ${this.#title} (${this.#bpm} BPM, ${this.#beatsPerBar}/4)\n\n`;
 
@@ -195,17 +200,120 @@ export class SongState extends EventTarget {
     return section && barDuration > 0 ? section.bar_count * barDuration : -1;
   }
 
+  /**
+   * Calculates the duration of the whole song in seconds.
+   * @returns {number} The total duration of all sections, or 0 if BPM is not set.
+   */
+  getSongDuration() {
+    const barDuration = this.getBarDuration();
+    const totalBars = this.#sections.reduce((sum, s) => sum + s.bar_count, 0);
+    return totalBars * barDuration;
+  }
+
+  /**
+   * Lists the sections from the first to the last, inclusive.
+   * @param {string} startSectionName The name of the first section.
+   * @param {string} [endSectionName] The name of the last section. If not provided, only the start section is used.
+   * @returns {string[]} The section names, or an empty array if the range is invalid.
+   */
+  getSectionNamesInRange(startSectionName, endSectionName) {
+    if (!startSectionName) {
+      return [];
+    }
+
+    const allSectionNames = this.#sections.map(s => s.name);
+    const startIndex = allSectionNames.indexOf(startSectionName);
+    const endIndex = endSectionName ? allSectionNames.indexOf(endSectionName) : startIndex;
+
+    if (startIndex === -1 || endIndex === -1 || startIndex > endIndex) {
+      console.warn(`Invalid section range: from "${startSectionName}" to "${endSectionName}".`);
+      return [];
+    }
+
+    return allSectionNames.slice(startIndex, endIndex + 1);
+  }
+
+  /**
+   * Calculates the start and end time for a range of song sections.
+   * @param {string} startSectionName The name of the first section.
+   * @param {string} [endSectionName] The name of the last section. If not provided, only the start section is used.
+   * @returns {{startTime: number, endTime: number} | null} An object with the 
+   * start and end times in seconds, or null if no valid sections are found.
+   */
+  getSectionsTimeInterval(startSectionName, endSectionName) {
+    const sectionsInRange = this.getSectionNamesInRange(startSectionName, endSectionName);
+    if (sectionsInRange.length === 0) {
+      return null;
+    }
+
+    const minStartTime = this.getSectionStartTime(sectionsInRange[0]);
+
+    if (minStartTime === -1) {
+      return null;
+    }
+
+    let maxEndTime = minStartTime;
+    let currentEndTime = minStartTime;
+    for (const sectionName of sectionsInRange) {
+      const duration = this.getSectionDuration(sectionName);
+      currentEndTime += duration;
+    }
+    maxEndTime = currentEndTime;
+
+    return { startTime: minStartTime, endTime: maxEndTime };
+  }
+
   /**
    * @override
    */
   canHandle(toolName) {
-    return ['update_song_attributes', 'create_section', 'update_section'].includes(toolName);
+    return ['update_song_attributes', 'create_section', 'update_section',
+      'delete_section'].includes(toolName);
   }
 
   /**
    * @override
    * @param {string} toolName
    * @param {object} args
+   * @returns {{toolName: string, args: object} | null}
+   */
+  getInverse(toolName, args) {
+    if (toolName === 'update_song_attributes') {
+      const previous = {};
+      // An unset tempo is shown as the default, so undo restores that.
+      if (args.bpm !== undefined) previous.bpm = this.#bpm ?? DEFAULT_BPM;
+      if (args.beats_per_bar !== undefined) {
+        previous.beats_per_bar = this.#beatsPerBar ?? DEFAULT_BEATS_PER_BAR;
+      }
+      return { toolName, args: previous };
+    } else if (toolName === 'create_section') {
+      // A duplicate name is rejected, so there is nothing to undo.
+      if (this.#sections.some(s => s.name === args.name)) return null;
+      return { toolName: 'delete_section', args: { name: args.name } };
+    } else if (toolName === 'update_section') {
+      const section = this.#sections.find(s => s.name === args.name);
+      if (!section) return null;
+      const previous = { name: section.name };
+      if (args.bar_count !== undefined) previous.bar_count = section.bar_count;
+      if (args.body !== undefined) previous.body = section.body;
+      return { toolName, args: previous };
+    } else if (toolName === 'delete_section') {
+      const index = this.#sections.findIndex(s => s.name === args.name);
+      if (index === -1) return null;
+      const { name, bar_count, body } = this.#sections[index];
+      return {
+        toolName: 'create_section',
+        args: { name, bar_count, body, before_section: this.#sections[index + 1]?.name }
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @override
+   * @param {string} toolName
+   * @param {object} args
+   * @returns {Promise<string|void>}
    */
   async callTool(toolName, args) {
     if (toolName === 'update_song_attributes') {
@@ -220,19 +328,53 @@ export class SongState extends EventTarget {
       }
       if (changed) this.dispatchEvent(new CustomEvent('song-state-changed'));
     } else if (toolName === 'create_section') {
-      this.#createSection(args.name, args.bar_count, args.body);
+      return this.#createSection(args.name, args.bar_count, args.body, args.before_section);
     } else if (toolName === 'update_section') {
       this.#updateSection(args.name, args.bar_count, args.body);
+    } else if (toolName === 'delete_section') {
+      this.#deleteSection(args.name);
     }
   }
 
-  #createSection(name, bar_count, body = '') {
+  /**
+   * @param {string} name
+   * @param {number} bar_count
+   * @param {string} [body]
+   * @param {string} [beforeSection] The section to insert before. If omitted
+   *   or not found, the new section is added at the end.
+   * @returns {string | void} An error message if the name is already taken.
+   */
+  #createSection(name, bar_count, body = '', beforeSection) {
+    // Sections are found by name, so names must be unique.
+    if (this.#sections.some(s => s.name === name)) {
+      return `A section named "${name}" already exists.`;
+    }
     const newSection = {
       name,
       bar_count,
       body,
     };
-    this.#sections.push(newSection);
+    const index = beforeSection
+      ? this.#sections.findIndex(s => s.name === beforeSection)
+      : -1;
+    if (index === -1) {
+      this.#sections.push(newSection);
+    } else {
+      this.#sections.splice(index, 0, newSection);
+    }
+    this.dispatchEvent(new CustomEvent('song-state-changed'));
+  }
+
+  /**
+   * @param {string} name
+   */
+  #deleteSection(name) {
+    const index = this.#sections.findIndex(s => s.name === name);
+    if (index === -1) {
+      console.error(`Section "${name}" not found for deletion.`);
+      return;
+    }
+    this.#sections.splice(index, 1);
     this.dispatchEvent(new CustomEvent('song-state-changed'));
   }
 
@@ -0,0 +1,210 @@
+// @ts-check
+
+import { ToolHandler } from '../controller/ToolHandler.js';
+import { encodeWav } from './WavEncoder.js';
+import { createZip } from './ZipWriter.js';
+
+/**
+ * @typedef {import('./Track.js').Track} Track
+ * @typedef {import('./MixerEngine.js').MixerEngine} MixerEngine
+ * @typedef {import('./SongState.js').SongState} SongState
+ */
+
+/**
+ * Renders the recorded tracks to WAV stems and downloads them as a zip file,
+ * or bounces the monitoring mix to a single stereo WAV file.
+ * @implements {ToolHandler}
+ */
+export class StemExporter extends ToolHandler {
+  /** @type {number} */
+  #sampleRate;
+  /** @type {Track[]} */
+  #tracks;
+  /** @type {MixerEngine} */
+  #mixerEngine;
+  /** @type {SongState} */
+  #songState;
+
+  /**
+   * @param {number} sampleRate The sample rate of the recorded tracks.
+   * @param {Track[]} tracks The tracks to export.
+   * @param {MixerEngine} mixerEngine Used to print the monitoring mix.
+   * @param {SongState} songState Used for the song length and title.
+   */
+  constructor(sampleRate, tracks, mixerEngine, songState) {
+    super();
+    this.#sampleRate = sampleRate;
+    this.#tracks = tracks;
+    this.#mixerEngine = mixerEngine;
+    this.#songState = songState;
+  }
+
+  /**
+   * @override
+   * @param {string} toolName
+   * @returns {boolean}
+   */
+  canHandle(toolName) {
+    return ['export_stems', 'bounce_mix'].includes(toolName);
+  }
+
+  /**
+   * @override
+   * @param {string} toolName
+   * @param {object} args
+   * @returns {Promise<string|void>}
+   */
+  async callTool(toolName, args) {
+    if (toolName === 'export_stems') {
+      return this.exportStems(args.bit_depth === 24 ? 24 : 32, args.print_mix || false);
+    } else if (toolName === 'bounce_mix') {
+      return this.bounceMix(args.start_section, args.last_section, args.bit_depth === 32 ? 32 : 24);
+    }
+  }
+
+  /**
+   * Renders every non-empty track and downloads the stems as one zip file
+   * named after the song.
+   * @param {24 | 32} bitDepth 24-bit integer or 32-bit float.
+   * @param {boolean} printMix Whether to apply the channel's gain, saturation,
+   *   pan and level from the monitoring mix.
+   * @returns {Promise<string>} A summary of what was exported.
+   */
+  async exportStems(bitDepth, printMix) {
+    const title = this.#songState.title || 'Untitled';
+    const songFrames = Math.round(this.#songState.getSongDuration() * this.#sampleRate);
+
+    /** @type {{name: string, data: ArrayBuffer}[]} */
+    const files = [];
+    for (let i = 0; i < this.#tracks.length; i++) {
+      const track = this.#tracks[i];
+      if (track.recordedLength === 0) continue;
+      // Read from where playback reads, so stems line up with what was heard.
+      const offset = this.#latencyOffset(track);
+      const length = songFrames > 0 ? songFrames : Math.max(0, track.recordedLength - offset);
+      const { left, right } = track.read(offset, offset + length);
+      // A track that was erased still has its chunks, but nothing to export.
+      if (left.every(sample => sample === 0) && right.every(sample => sample === 0)) continue;
+      const channels = printMix
+        ? await this.#renderThroughChannel(i, left, right)
+        : [left, right];
+      const trackNumber = String(i + 1).padStart(2, '0');
+      files.push({
+        name: `${title} - Track ${trackNumber}.wav`,
+        data: encodeWav(channels, this.#sampleRate, bitDepth)
+      });
+    }
+
+    if (files.length === 0) {
+      return 'There are no recorded tracks to export.';
+    }
+    this.#download(createZip(files), `${title}.zip`);
+    return `Exported ${files.length} stems.`;
+  }
+
+  /**
+   * Renders the monitoring mix of a range of sections, faster than real time,
+   * and downloads it as a stereo WAV file.
+   * @param {string} [startSection] The first section. Defaults to the whole song.
+   * @param {string} [lastSection] The last section. Defaults to the start section.
+   * @param {24 | 32} [bitDepth]
+   * @returns {Promise<string>} A summary of what was bounced.
+   */
+  async bounceMix(startSection, lastSection, bitDepth = 24) {
+    const title = this.#songState.title || 'Untitled';
+    let startTime = 0;
+    let endTime = this.#songState.getSongDuration();
+    let name = title;
+    if (startSection) {
+      const interval = this.#songState.getSectionsTimeInterval(startSection, lastSection);
+      if (!interval) {
+        return `Invalid section range: from "${startSection}" to "${lastSection ?? startSection}".`;
+      }
+      ({ startTime, endTime } = interval);
+      name = `${title} - ${this.#songState.getSectionNamesInRange(startSection, lastSection).join(', ')}`;
+    }
+    const startFrame = Math.round(startTime * this.#sampleRate);
+    let endFrame = Math.round(endTime * this.#sampleRate);
+    if (!startSection && endFrame === 0) {
+      // Without a song sheet, bounce everything that was recorded.
+      endFrame = Math.max(0, ...this.#tracks.map(track =>
+        track.recordedLength - this.#latencyOffset(track)));
+    }
+    if (endFrame <= startFrame) {
+      return 'There is nothing to bounce.';
+    }
+
+    const length = endFrame - startFrame;
+    const context = new OfflineAudioContext(2, length, this.#sampleRate);
+    const mix = this.#mixerEngine.createOfflineMix(context);
+    mix.outputNode.connect(context.destination);
+    this.#tracks.forEach((track, i) => {
+      // Read from where playback reads, as the stems do.
+      const offset = this.#latencyOffset(track);
+      if (track.recordedLength <= startFrame + offset) return;
+      const { left, right } = track.read(startFrame + offset, endFrame + offset);
+      const buffer = context.createBuffer(2, length, this.#sampleRate);
+      buffer.copyToChannel(left, 0);
+      buffer.copyToChannel(right, 1);
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(mix.channelInputs[i]);
+      source.start();
+    });
+
+    const rendered = await context.startRendering();
+    const channels = [rendered.getChannelData(0), rendered.getChannelData(1)];
+    this.#download(new Blob([encodeWav(channels, this.#sampleRate, bitDepth)], { type: 'audio/wav' }),
+      `${name} - Mix.wav`);
+    return `Bounced ${(length / this.#sampleRate).toFixed(1)}s of the mix to "${name} - Mix.wav".`;
+  }
+
+  /**
+   * Renders audio through a copy of a mixer channel strip.
+   * @param {number} channelIndex
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @returns {Promise<Float32Array[]>}
+   */
+  async #renderThroughChannel(channelIndex, left, right) {
+    const context = new OfflineAudioContext(2, left.length, this.#sampleRate);
+    const buffer = context.createBuffer(2, left.length, this.#sampleRate);
+    buffer.copyToChannel(left, 0);
+    buffer.copyToChannel(right, 1);
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    const channel = this.#mixerEngine.createOfflineChannel(context, channelIndex);
+    source.connect(channel.inputNode);
+    channel.outputNode.connect(context.destination);
+    source.start();
+
+    const rendered = await context.startRendering();
+    return [rendered.getChannelData(0), rendered.getChannelData(1)];
+  }
+
+  /**
+   * @param {Track} track
+   * @returns {number} How many frames ahead playback reads the track's tape.
+   */
+  #latencyOffset(track) {
+    return Math.round(track.latencyCompensation * this.#sampleRate);
+  }
+
+  /**
+   * Triggers a browser download of a Blob.
+   * @param {Blob} blob
+   * @param {string} fileName
+   */
+  #download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,249 @@
+// @ts-check
+
+/**
+ * @typedef {object} Take
+ * @property {number} number One-based take number, unique per track and section.
+ * @property {Float32Array} left The left channel, starting at the top of the section.
+ * @property {Float32Array} right The right channel, starting at the top of the section.
+ *
+ * @typedef {object} CompSegment
+ * @property {number} startBar Zero-based bar within the section, inclusive.
+ * @property {number} endBar Zero-based bar within the section, exclusive.
+ * @property {number} number The take used for these bars.
+ *
+ * @typedef {object} SavedComp
+ * @property {number} track Zero-based track index.
+ * @property {string} section
+ * @property {CompSegment[]} segments
+ *
+ * @typedef {object} CompRun
+ * @property {number} offset Frames from the top of the section.
+ * @property {Float32Array} left
+ * @property {Float32Array} right
+ */
+
+/**
+ * @class TakeStore
+ * @description Holds every recorded pass over a section, per track, so that
+ * earlier takes survive later ones, along with the comp: which take is used
+ * for which bars of the section. Writing the comp to the track is up to the
+ * TapeDeckEngine. Emits a `takes-changed` event whenever takes or comps change.
+ * @extends {EventTarget}
+ */
+export class TakeStore extends EventTarget {
+  /** @type {Map<string, Take[]>} */
+  #takes = new Map();
+  /** @type {Map<string, CompSegment[]>} Comp segments per track and section, sorted by bar. */
+  #comps = new Map();
+
+  /**
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @returns {string}
+   */
+  #key(trackIndex, sectionName) {
+    return `${trackIndex}:${sectionName}`;
+  }
+
+  /**
+   * Adds a new take, numbered one past the highest existing take.
+   * @param {number} trackIndex Zero-based track index.
+   * @param {string} sectionName
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @returns {Take}
+   */
+  add(trackIndex, sectionName, left, right) {
+    const key = this.#key(trackIndex, sectionName);
+    const takes = this.#takes.get(key) ?? [];
+    const number = takes.reduce((max, t) => Math.max(max, t.number), 0) + 1;
+    const take = { number, left, right };
+    takes.push(take);
+    this.#takes.set(key, takes);
+    this.dispatchEvent(new CustomEvent('takes-changed'));
+    return take;
+  }
+
+  /**
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} number
+   * @returns {Take | undefined}
+   */
+  get(trackIndex, sectionName, number) {
+    return this.list(trackIndex, sectionName).find(t => t.number === number);
+  }
+
+  /**
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @returns {Take[]} The takes in the order they were recorded.
+   */
+  list(trackIndex, sectionName) {
+    return this.#takes.get(this.#key(trackIndex, sectionName)) ?? [];
+  }
+
+  /**
+   * Deletes a take and removes it from the comp.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} number
+   * @returns {boolean} True if the take existed.
+   */
+  delete(trackIndex, sectionName, number) {
+    const key = this.#key(trackIndex, sectionName);
+    const takes = this.list(trackIndex, sectionName);
+    const index = takes.findIndex(t => t.number === number);
+    if (index === -1) return false;
+    takes.splice(index, 1);
+    const segments = this.getComp(trackIndex, sectionName);
+    this.#comps.set(key, segments.filter(s => s.number !== number));
+    this.dispatchEvent(new CustomEvent('takes-changed'));
+    return true;
+  }
+
+  /**
+   * Uses a take for a range of bars in the comp, replacing whatever was
+   * comped there before.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} number The take number.
+   * @param {number} startBar Zero-based bar within the section, inclusive.
+   * @param {number} endBar Zero-based bar within the section, exclusive.
+   */
+  setComp(trackIndex, sectionName, number, startBar, endBar) {
+    if (endBar <= startBar) return;
+    /** @type {CompSegment[]} */
+    const segments = [];
+    for (const segment of this.getComp(trackIndex, sectionName)) {
+      // Keep the parts of existing segments outside the new range.
+      if (segment.startBar < startBar) {
+        segments.push({ ...segment, endBar: Math.min(segment.endBar, startBar) });
+      }
+      if (segment.endBar > endBar) {
+        segments.push({ ...segment, startBar: Math.max(segment.startBar, endBar) });
+      }
+    }
+    segments.push({ startBar, endBar, number });
+    segments.sort((a, b) => a.startBar - b.startBar);
+    this.#comps.set(this.#key(trackIndex, sectionName), segments);
+    this.dispatchEvent(new CustomEvent('takes-changed'));
+  }
+
+  /**
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @returns {CompSegment[]} The comp segments, sorted by bar.
+   */
+  getComp(trackIndex, sectionName) {
+    return this.#comps.get(this.#key(trackIndex, sectionName)) ?? [];
+  }
+
+  /**
+   * Renders the comp for a section. Adjacent segments are crossfaded over
+   * `fadeFrames` centred on the bar line. Bars that are not comped, or that
+   * are past the end of their take, are left out, so the result is a list of
+   * contiguous runs of audio.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} framesPerBar
+   * @param {number} fadeFrames
+   * @returns {CompRun[]}
+   */
+  renderComp(trackIndex, sectionName, framesPerBar, fadeFrames) {
+    const halfFade = Math.floor(fadeFrames / 2);
+    const regions = [];
+    for (const segment of this.getComp(trackIndex, sectionName)) {
+      const take = this.get(trackIndex, sectionName, segment.number);
+      if (!take) continue;
+      const start = Math.round(segment.startBar * framesPerBar);
+      const end = Math.min(Math.round(segment.endBar * framesPerBar), take.left.length);
+      if (end > start) regions.push({ start, end, take });
+    }
+
+    /** @type {CompRun[]} */
+    const runs = [];
+    let i = 0;
+    while (i < regions.length) {
+      // Group regions that touch into one run.
+      let j = i;
+      while (j + 1 < regions.length && regions[j + 1].start === regions[j].end) j++;
+      const runStart = regions[i].start;
+      const runEnd = regions[j].end;
+      const left = new Float32Array(runEnd - runStart);
+      const right = new Float32Array(runEnd - runStart);
+
+      for (let r = i; r <= j; r++) {
+        const { start, end, take } = regions[r];
+        const fadeIn = r > i ? halfFade : 0;
+        const fadeOut = r < j ? halfFade : 0;
+        const from = start - fadeIn;
+        const to = Math.min(end + fadeOut, take.left.length);
+        for (let frame = from; frame < to; frame++) {
+          let gain = 1;
+          if (frame < start + fadeIn) {
+            gain = (frame - from + 0.5) / (2 * fadeIn);
+          } else if (frame >= end - fadeOut) {
+            gain = (end + fadeOut - frame - 0.5) / (2 * fadeOut);
+          }
+          left[frame - runStart] += take.left[frame] * gain;
+          right[frame - runStart] += take.right[frame] * gain;
+        }
+      }
+      runs.push({ offset: runStart, left, right });
+      i = j + 1;
+    }
+    return runs;
+  }
+
+  /**
+   * @returns {SavedComp[]} Every comp, in a form that can be persisted.
+   */
+  getSavedComps() {
+    return [...this.#comps.entries()].map(([key, segments]) => {
+      const separator = key.indexOf(':');
+      return {
+        track: Number(key.slice(0, separator)),
+        section: key.slice(separator + 1),
+        segments,
+      };
+    });
+  }
+
+  /**
+   * Replaces the contents of the store with persisted takes and comps.
+   * @param {{track: number, section: string, number: number, left: Float32Array, right: Float32Array}[]} takes
+   * @param {SavedComp[]} comps
+   */
+  restore(takes, comps) {
+    this.#takes.clear();
+    this.#comps.clear();
+    for (const { track, section, number, left, right } of takes) {
+      const key = this.#key(track, section);
+      const list = this.#takes.get(key) ?? [];
+      list.push({ number, left, right });
+      this.#takes.set(key, list);
+    }
+    for (const list of this.#takes.values()) {
+      list.sort((a, b) => a.number - b.number);
+    }
+    for (const { track, section, segments } of comps) {
+      this.#comps.set(this.#key(track, section), segments);
+    }
+    this.dispatchEvent(new CustomEvent('takes-changed'));
+  }
+
+  /**
+   * @returns {{track: number, section: string}[]} Every track and section
+   *   that has at least one take.
+   */
+  getTakeLanes() {
+    const lanes = [];
+    for (const [key, takes] of this.#takes.entries()) {
+      if (takes.length === 0) continue;
+      const separator = key.indexOf(':');
+      lanes.push({ track: Number(key.slice(0, separator)), section: key.slice(separator + 1) });
+    }
+    return lanes;
+  }
+}
\ No newline at end of file
@@ -5,6 +5,30 @@ import { ToolHandler } from '../controller/ToolHandler.js';
 import { SongState } from './SongState.js';
 import { MixerEngine } from './MixerEngine.js';
 import { MetronomeEngine } from './MetronomeEngine.js';
+import { SessionStore } from './SessionStore.js';
+import { TakeStore } from './TakeStore.js';
+import { TapeHistory } from './TapeHistory.js';
+import { canCreateRecordingRing, createRecordingRing, RECORDED_FRAME } from './RecordingRing.js';
+import { createTestSignal, measureLatency, MAX_LATENCY_SECONDS } from './LatencyCalibrator.js';
+
+// How often recorded audio is flushed to the session store while recording.
+const PERSIST_INTERVAL_MS = 1000;
+// Length of the crossfades at the punch-in and punch-out points.
+const PUNCH_FADE_SECONDS = 0.010;
+// Bars of click before the tape starts when recording.
+const DEFAULT_COUNT_IN_BARS = 1;
+// How long to wait for the recording worklet to post the end of a take.
+const FLUSH_TIMEOUT_MS = 1000;
+// How long calibration waits for input beyond the expected capture time.
+const CALIBRATION_TIMEOUT_SECONDS = 2;
+
+/**
+ * When the input is heard through the armed track's channel strip. 'auto'
+ * works like a tape machine: the input is heard while stopped and while
+ * recording, and the tape while playing back.
+ * @typedef {'auto' | 'always' | 'off'} MonitorMode
+ */
+const MONITOR_MODES = ['auto', 'always', 'off'];
 
 /**
  * Manages audio recording from an input stream into multiple tracks using an Audio Worklet.
@@ -17,20 +41,80 @@ export class TapeDeckEngine extends ToolHandler {
   #audioStream;
   /** @type {AudioWorkletNode | null} */
   #workletNode = null;
+  /** @type {Worker | null} Drains the recording ring, when there is one. */
+  #recordingWorker = null;
+  /** @type {import('./RecordingRing.js').RecordingRing | null} */
+  #ring = null;
+  /** @type {number} Input frames lost during the current recording. */
+  #droppedFrames = 0;
+  /** @type {string | null} How much the last recording lost, until the stop tool reports it. */
+  #dropoutReport = null;
   /** @type {Track[]} */
   #tracks = [];
   /** @type {number} */
   #activeTrack = 0;
   /** @type {boolean} */
   #isRecording = false;
-  /** @type {number | null} */
+  /** @type {boolean} Whether the tape is rolling, for input monitoring. */
+  #isPlaying = false;
+  /** @type {GainNode | null} Feeds the input to the armed track's channel. */
+  #monitorNode = null;
+  /** @type {MonitorMode} */
+  #monitorMode = 'off';
+  /** @type {number | null} The audio context frame at the punch-in point. */
   #recordingStartFrame = null;
+  /** @type {number} The audio context frame where recording was stopped. */
+  #recordingEndFrame = Infinity;
+  /** @type {Promise<void> | null} Resolves once the stopped recording is finished. */
+  #finishing = null;
+  /** @type {(() => void) | null} */
+  #resolveFinishing = null;
+  /** @type {number} The tape frame where recording starts. */
+  #punchInFrame = 0;
+  /** @type {number} The tape frame where recording stops. */
+  #punchOutFrame = 0;
+  /** @type {boolean} Whether every pass over the punch window becomes a new take. */
+  #loopRecording = false;
+  /**
+   * The sections covered by the punch window, as frame offsets from punch-in.
+   * @type {{name: string, offset: number, length: number}[]}
+   */
+  #recordingSections = [];
+  /**
+   * The raw input captured during the current pass over the punch window,
+   * when recorded through the main thread.
+   * @type {{number: number, left: Float32Array, right: Float32Array, length: number} | null}
+   */
+  #pass = null;
+  /** @type {number} */
+  #completedPasses = 0;
+  /** @type {{sectionName: string, number: number}[]} The takes from the last pass. */
+  #lastPassTakes = [];
+  /** @type {TakeStore} */
+  #takeStore = new TakeStore();
+  /** @type {AudioBufferSourceNode | null} */
+  #auditionSource = null;
+  /** @type {TapeHistory} */
+  #history;
   /** @type {SongState} */
   #songState;
   /** @type {MixerEngine} */
   #mixerEngine;
   /** @type {MetronomeEngine} */
   #metronomeEngine;
+  /** @type {SessionStore | null} */
+  #sessionStore;
+  /** @type {number} */
+  #latencyCompensation = 0;
+  /** @type {Object<string, number>} Latency compensation by input and output device. */
+  #latencyByDevice = {};
+  /**
+   * Input captured while calibrating latency, from `startFrame` onwards.
+   * @type {{startFrame: number, samples: Float32Array, filled: number, resolve: () => void} | null}
+   */
+  #calibration = null;
+  /** @type {ReturnType<typeof setInterval> | null} */
+  #persistInterval = null;
 
   /**
    * The path to the audio worklet processor.
@@ -45,10 +129,13 @@ export class TapeDeckEngine extends ToolHandler {
    * @param {SongState} songState The application's song state.
    * @param {MixerEngine} mixerEngine The mixer engine.
    * @param {MetronomeEngine} metronomeEngine The metronome engine.
+   * @param {SessionStore | null} [sessionStore] Where recorded audio and
+   *   transport settings are persisted. If omitted, nothing is persisted.
    * @returns {Promise<TapeDeckEngine>}
    */
-  static async create(audioContext, audioStream, songState, mixerEngine, metronomeEngine) {
-    const engine = new TapeDeckEngine(audioContext, audioStream, songState, mixerEngine, metronomeEngine);
+  static async create(audioContext, audioStream, songState, mixerEngine, metronomeEngine, sessionStore = null) {
+    const engine = new TapeDeckEngine(
+      audioContext, audioStream, songState, mixerEngine, metronomeEngine, sessionStore);
     await engine.#initialize();
     return engine;
   }
@@ -60,8 +147,9 @@ export class TapeDeckEngine extends ToolHandler {
    * @param {SongState} songState The application's song state.
    * @param {MixerEngine} mixerEngine The mixer engine.
    * @param {MetronomeEngine} metronomeEngine The metronome engine.
+   * @param {SessionStore | null} sessionStore The session store, if any.
    */
-  constructor(audioContext, audioStream, songState, mixerEngine, metronomeEngine) {
+  constructor(audioContext, audioStream, songState, mixerEngine, metronomeEngine, sessionStore) {
     if (!metronomeEngine) {
       throw new Error('Metronome engine is required.');
     }
@@ -71,6 +159,8 @@ export class TapeDeckEngine extends ToolHandler {
     this.#songState = songState;
     this.#mixerEngine = mixerEngine;
     this.#metronomeEngine = metronomeEngine;
+    this.#sessionStore = sessionStore;
+    this.#history = new TapeHistory(sessionStore);
     // Note: The constructor is private. Use the static `create` method instead.
   }
 
@@ -79,6 +169,43 @@ export class TapeDeckEngine extends ToolHandler {
     return this.#tracks;
   }
 
+  /**
+   * Every recorded take and comp. Needed for the take lane view.
+   * @returns {TakeStore}
+   */
+  get takeStore() {
+    return this.#takeStore;
+  }
+
+  /**
+   * The zero-based index of the armed track.
+   * @returns {number}
+   */
+  get activeTrack() {
+    return this.#activeTrack;
+  }
+
+  /**
+   * Writes audio onto a track outside of recording, e.g. an imported file,
+   * and makes it audible immediately.
+   * @param {number} trackIndex Zero-based track index.
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} startFrame The frame on the tape where the audio starts.
+   */
+  writeAudio(trackIndex, left, right, startFrame) {
+    const track = this.#tracks[trackIndex];
+    if (!track) {
+      console.error(`Invalid track number: ${trackIndex + 1}`);
+      return;
+    }
+    this.#pushEdit(`import onto track ${trackIndex + 1}`,
+      trackIndex, startFrame, startFrame + left.length);
+    track.write(left, right, startFrame);
+    track.update();
+    this.#persistTracks();
+  }
+
   /**
    * Loads the worklet and sets up the audio graph.
    */
@@ -101,21 +228,125 @@ export class TapeDeckEngine extends ToolHandler {
     }
 
     const source = this.#audioContext.createMediaStreamSource(this.#audioStream);
-    this.#workletNode = new AudioWorkletNode(this.#audioContext, 'recorder-worklet-processor');
-
-    this.#workletNode.port.onmessage = (event) => {
-      if (this.#isRecording) {
-        this.#handleWorkletMessage(event);
-      }
-    };
+    if (canCreateRecordingRing()) {
+      // The worklet writes into a shared ring that a worker drains, so main
+      // thread stalls cannot make recording drop audio.
+      const ring = createRecordingRing();
+      this.#ring = ring;
+      this.#workletNode = new AudioWorkletNode(this.#audioContext, 'recorder-worklet-processor', {
+        processorOptions: { ring }
+      });
+      this.#recordingWorker = new Worker(
+        new URL('./RecordingWorker.js', import.meta.url), { type: 'module' });
+      this.#recordingWorker.onmessage = (event) => {
+        if (this.#calibration && event.data.type === 'audio') {
+          this.#captureCalibration(event.data);
+          return;
+        }
+        if (!this.#isRecording) return;
+        if (event.data.type === 'dropout') {
+          this.#handleDropout(event.data.frameNumber, event.data.frames);
+        } else if (event.data.type === 'pass') {
+          this.#addPass(event.data, event.data.complete);
+        } else if (event.data.type === 'finished') {
+          this.#endRecording();
+        }
+      };
+      this.#recordingWorker.onerror = (e) => console.error('Recording worker error:', e);
+      this.#recordingWorker.postMessage({ type: 'start', ring });
+    } else {
+      console.warn('The page is not cross-origin isolated. Recorded audio will be posted through the main thread.');
+      this.#workletNode = new AudioWorkletNode(this.#audioContext, 'recorder-worklet-processor');
+      this.#workletNode.port.onmessage = (event) => {
+        if (this.#calibration) {
+          this.#captureCalibration(event.data);
+        } else if (event.data.type === 'flushed') {
+          if (this.#finishing) this.#endRecording();
+        } else if (this.#isRecording) {
+          this.#handleWorkletMessage(event);
+        }
+      };
+    }
 
     source.connect(this.#workletNode);
     // The worklet node does not need to be connected to the destination
     // if we are only using it for analysis/recording and not playback.
+
+    this.#monitorNode = this.#audioContext.createGain();
+    this.#monitorNode.gain.value = 0;
+    source.connect(this.#monitorNode);
+
+    await this.#restore();
+    this.#connectMonitor();
+    this.#updateMonitoring();
+  }
+
+  /**
+   * Restores the recorded audio, armed track and latency compensation from
+   * the session store.
+   */
+  async #restore() {
+    if (!this.#sessionStore) return;
+    try {
+      const state = await this.#sessionStore.loadValue('tape-deck');
+      if (state) {
+        this.#activeTrack = state.activeTrack ?? 0;
+        this.#latencyByDevice = state.latencyByDevice ?? {};
+        this.#applyLatencyCompensation(
+          this.#latencyByDevice[await this.#devicePairKey()] ?? state.latencyCompensation ?? 0);
+        if (MONITOR_MODES.includes(state.monitorMode)) {
+          this.#monitorMode = state.monitorMode;
+        }
+      }
+      for (let i = 0; i < this.#tracks.length; i++) {
+        const chunks = await this.#sessionStore.loadTrackChunks(i);
+        if (chunks.length === 0) continue;
+        const track = this.#tracks[i];
+        for (const chunk of chunks) {
+          track.loadChunk(chunk);
+        }
+        track.update();
+      }
+      const [takes, comps] = await Promise.all([
+        this.#sessionStore.loadTakes(),
+        this.#sessionStore.loadValue('comps'),
+      ]);
+      this.#takeStore.restore(takes, comps ?? []);
+      await this.#history.restore();
+    } catch (e) {
+      console.error('Failed to restore the tape deck session.', e);
+    }
+  }
+
+  /**
+   * Saves the armed track, latency compensation and monitoring mode to the
+   * session store.
+   */
+  #saveState() {
+    this.#sessionStore?.saveValue('tape-deck', {
+      activeTrack: this.#activeTrack,
+      latencyCompensation: this.#latencyCompensation,
+      latencyByDevice: this.#latencyByDevice,
+      monitorMode: this.#monitorMode,
+    }).catch((e) => console.error('Failed to save tape deck state.', e));
+  }
+
+  /**
+   * Writes every modified track region to the session store.
+   */
+  #persistTracks() {
+    if (!this.#sessionStore) return;
+    for (let i = 0; i < this.#tracks.length; i++) {
+      const chunks = this.#tracks[i].takeDirtyChunks();
+      if (chunks.length === 0) continue;
+      this.#sessionStore.saveTrackChunks(i, chunks)
+        .catch((e) => console.error(`Failed to persist track ${i + 1}.`, e));
+    }
   }
 
   /**
-   * Handles incoming sample data from the audio worklet.
+   * Handles incoming sample data from the audio worklet, when there is no
+   * recording worker to record it.
    * @param {MessageEvent} event
    */
   #handleWorkletMessage(event) {
@@ -124,54 +355,571 @@ export class TapeDeckEngine extends ToolHandler {
     }
 
     const { left, right, frameNumber } = event.data;
-    const messageEndFrame = frameNumber + left.length;
+    const passLength = this.#punchOutFrame - this.#punchInFrame;
 
-    // Ignore messages that are entirely before our scheduled start time
-    if (messageEndFrame < this.#recordingStartFrame) {
+    // Skip anything before the punch-in point or after the stop, then split
+    // the message where it crosses from one pass over the punch window into
+    // the next.
+    let offset = Math.max(0, this.#recordingStartFrame - frameNumber);
+    const end = Math.min(left.length, this.#recordingEndFrame - frameNumber);
+    while (offset < end && this.#isRecording) {
+      const elapsed = frameNumber + offset - this.#recordingStartFrame;
+      const passNumber = Math.floor(elapsed / passLength);
+      const position = elapsed - passNumber * passLength;
+      const count = Math.min(end - offset, passLength - position);
+      this.#capture(passNumber, left.subarray(offset, offset + count),
+        right.subarray(offset, offset + count), position);
+      offset += count;
+
+      if (position + count === passLength) {
+        this.#completePass(true);
+        if (!this.#loopRecording) {
+          // Punch out, but leave the transport running to the end of the range.
+          this.#endRecording();
+        }
+      }
+    }
+  }
+
+  /**
+   * Reports input audio that the recording worker never received. The gap is
+   * left as it is on tape; `Track.writePunched` skips over it.
+   * @param {number} frameNumber The context frame where the gap starts.
+   * @param {number} frames
+   */
+  #handleDropout(frameNumber, frames) {
+    if (this.#recordingStartFrame === null
+      || frameNumber + frames <= this.#recordingStartFrame) {
       return;
     }
+    this.#droppedFrames += frames;
+    const milliseconds = frames / this.#audioContext.sampleRate * 1000;
+    console.warn(`Recording dropped ${frames} frames (${milliseconds.toFixed(1)} ms) at frame ${frameNumber}.`);
+  }
+
+  /**
+   * Captures input for the current pass. Unless loop recording, the input is
+   * also punched into the armed track as it arrives.
+   * @param {number} passNumber Zero-based pass over the punch window.
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} position Frames from the punch-in point.
+   */
+  #capture(passNumber, left, right, position) {
+    if (this.#pass && this.#pass.number !== passNumber) {
+      this.#completePass(true);
+    }
+    if (!this.#pass) {
+      const passLength = this.#punchOutFrame - this.#punchInFrame;
+      this.#pass = {
+        number: passNumber,
+        left: new Float32Array(passLength),
+        right: new Float32Array(passLength),
+        length: 0,
+      };
+    }
+    this.#pass.left.set(left, position);
+    this.#pass.right.set(right, position);
+    this.#pass.length = Math.max(this.#pass.length, position + left.length);
 
-    // Determine the precise start and end points for writing the data
-    const writeStartFrameInMessage = Math.max(0, this.#recordingStartFrame - frameNumber);
-    const writeEndFrameInMessage = left.length;
+    if (!this.#loopRecording) {
+      this.#tracks[this.#activeTrack].writePunched(left, right, this.#punchInFrame + position);
+    }
+  }
 
-    // The frame in the track's buffer where we start writing
-    const trackStartFrame = Math.max(0, frameNumber - this.#recordingStartFrame) + writeStartFrameInMessage;
+  /**
+   * Makes takes of the pass captured through the main thread.
+   * @param {boolean} complete Whether the pass covered the whole punch window.
+   */
+  #completePass(complete) {
+    const pass = this.#pass;
+    this.#pass = null;
+    if (pass) {
+      this.#addPass(pass, complete);
+    }
+  }
 
-    // Extract the relevant slice of the audio data
-    const leftToWrite = left.subarray(writeStartFrameInMessage, writeEndFrameInMessage);
-    const rightToWrite = right.subarray(writeStartFrameInMessage, writeEndFrameInMessage);
+  /**
+   * Splits a captured pass into one take per section. When loop recording, a
+   * pass cut short by stopping is discarded, unless it is the only one.
+   * @param {{left: Float32Array, right: Float32Array, length: number}} pass
+   * @param {boolean} complete Whether the pass covered the whole punch window.
+   */
+  #addPass(pass, complete) {
+    if (!complete && this.#loopRecording && this.#completedPasses > 0) return;
 
-    const track = this.#tracks[this.#activeTrack];
-    track.write(leftToWrite, rightToWrite, trackStartFrame);
+    this.#lastPassTakes = [];
+    for (const section of this.#recordingSections) {
+      const length = Math.min(section.length, pass.length - section.offset);
+      if (length <= 0) continue;
+      const take = this.#takeStore.add(this.#activeTrack, section.name,
+        pass.left.slice(section.offset, section.offset + length),
+        pass.right.slice(section.offset, section.offset + length));
+      this.#lastPassTakes.push({ sectionName: section.name, number: take.number });
+      this.#sessionStore?.saveTake({
+        track: this.#activeTrack, section: section.name, number: take.number,
+        left: take.left, right: take.right,
+      }).catch((e) => console.error('Failed to persist take.', e));
+    }
+    this.#completedPasses++;
   }
 
   /**
-   * Starts recording on the currently active track.
+   * Starts punch recording on the currently active track.
+   * @param {number} startFrame The audio context frame at which input played
+   *   against the punch-in point arrives, which is the latency compensation
+   *   after the tape reaches it.
+   * @param {number} punchInFrame The tape frame where recording starts.
+   * @param {number} punchOutFrame The tape frame where recording stops.
+   * @param {{name: string, offset: number, length: number}[]} sections The
+   *   sections in the punch window, as frame offsets from punch-in.
+   * @param {boolean} loop Whether the window repeats, with each pass
+   *   recorded as a new take.
    */
-  startRecording() {
-    const startDelayInSeconds = 0.050; // 50ms
-    this.#recordingStartFrame = Math.round(this.#audioContext.currentTime * this.#audioContext.sampleRate) + Math.round(startDelayInSeconds * this.#audioContext.sampleRate);
+  startRecording(startFrame, punchInFrame, punchOutFrame, sections, loop) {
+    const sectionNames = sections.map(section => section.name).join(', ');
+    this.#pushEdit(`recording over ${sectionNames} on track ${this.#activeTrack + 1}`,
+      this.#activeTrack, punchInFrame, punchOutFrame);
+    if (this.#recordingWorker) {
+      // The worker punches the input straight into the track's shared chunks.
+      this.#recordingWorker.postMessage({
+        type: 'record', startFrame, punchInFrame, punchOutFrame,
+        fadeFrames: this.#punchFadeFrames(), loop,
+        chunks: this.#tracks[this.#activeTrack].shareChunks(punchInFrame, punchOutFrame),
+      });
+    } else if (!loop) {
+      this.#tracks[this.#activeTrack].punchIn(punchInFrame, punchOutFrame, this.#punchFadeFrames());
+    }
+    this.#recordingStartFrame = startFrame;
+    this.#recordingEndFrame = Infinity;
+    this.#punchInFrame = punchInFrame;
+    this.#punchOutFrame = punchOutFrame;
+    this.#recordingSections = sections;
+    this.#loopRecording = loop;
+    this.#pass = null;
+    this.#completedPasses = 0;
+    this.#lastPassTakes = [];
+    this.#droppedFrames = 0;
+    this.#dropoutReport = null;
     this.#isRecording = true;
+    // Switch from tape to input at the punch-in point, so the pre-roll is
+    // heard from tape.
+    const punchInTime = startFrame / this.#audioContext.sampleRate - this.#latencyCompensation;
+    this.#updateMonitoring(punchInTime);
+    this.#muteTapeWhileMonitoring(punchInTime, punchOutFrame - punchInFrame);
+    if (this.#sessionStore && this.#persistInterval === null) {
+      this.#persistInterval = setInterval(() => {
+        this.#markWorkerWrites();
+        this.#persistTracks();
+      }, PERSIST_INTERVAL_MS);
+    }
   }
 
   /**
-   * Stops recording on the currently active track.
+   * Stops recording now. Input from before the stop that the recording
+   * worker or worklet has not passed on yet still makes the take, so this
+   * has them flush it first.
+   * @returns {Promise<void>} Resolves once the take is finished.
    */
-  stop() {
-    if (this.#isRecording) {
-      const activeTrack = this.#tracks[this.#activeTrack];
-      activeTrack.update();
-      this.#tracks[this.#activeTrack || 0].getStats()
-        .then((stats) => { console.log(stats) });
+  #finishRecording() {
+    if (!this.#isRecording) return Promise.resolve();
+    if (!this.#finishing) {
+      this.#finishing = new Promise((resolve) => { this.#resolveFinishing = resolve; });
+      const endFrame = Math.round(this.#audioContext.currentTime * this.#audioContext.sampleRate);
+      if (this.#recordingWorker) {
+        this.#recordingWorker.postMessage({ type: 'finish', endFrame });
+      } else {
+        this.#recordingEndFrame = endFrame;
+        this.#workletNode?.port.postMessage({ type: 'flush' });
+        // A suspended context never runs the worklet to answer.
+        const finishing = this.#finishing;
+        setTimeout(() => {
+          if (this.#finishing === finishing) this.#endRecording();
+        }, FLUSH_TIMEOUT_MS);
+      }
     }
+    return this.#finishing;
+  }
 
+  /**
+   * Punches out of the active track and makes the new audio audible, once
+   * all of the input has been recorded.
+   * When loop recording, the takes from the last complete pass go on tape.
+   */
+  #endRecording() {
+    if (!this.#isRecording) return;
     this.#isRecording = false;
-    this.#metronomeEngine.stop();
     this.#recordingStartFrame = null;
+    this.#updateMonitoring();
+    this.#tracks[this.#activeTrack].setPlaybackMuted(false);
+
+    const activeTrack = this.#tracks[this.#activeTrack];
+    if (this.#recordingWorker) {
+      // The worker has posted its last pass and punched out of the track.
+      this.#markWorkerWrites();
+    } else {
+      this.#completePass(false);
+      if (!this.#loopRecording) {
+        activeTrack.punchOut();
+      }
+    }
+    if (this.#loopRecording) {
+      for (const { sectionName, number } of this.#lastPassTakes) {
+        this.#setCompForSection(this.#activeTrack, sectionName, number);
+        this.#flattenSection(this.#activeTrack, sectionName);
+      }
+    } else {
+      // The take is already on tape, so only the comp needs updating.
+      for (const { sectionName, number } of this.#lastPassTakes) {
+        this.#setCompForSection(this.#activeTrack, sectionName, number);
+      }
+    }
+    this.#saveComps();
+    if (this.#droppedFrames > 0) {
+      const seconds = this.#droppedFrames / this.#audioContext.sampleRate;
+      this.#dropoutReport = `Recording on track ${this.#activeTrack + 1} lost ` +
+        `${seconds.toFixed(3)}s of audio to dropouts. The gaps keep what was on tape before.`;
+      console.warn(this.#dropoutReport);
+    }
+    activeTrack.update();
+    activeTrack.getStats()
+      .then((stats) => { console.log(stats) });
+
+    if (this.#persistInterval !== null) {
+      clearInterval(this.#persistInterval);
+      this.#persistInterval = null;
+    }
+    this.#persistTracks();
+
+    const resolveFinishing = this.#resolveFinishing;
+    this.#finishing = null;
+    this.#resolveFinishing = null;
+    resolveFinishing?.();
+  }
+
+  /**
+   * Accounts for the audio the recording worker has punched into the armed
+   * track so far, so that it is persisted.
+   */
+  #markWorkerWrites() {
+    if (!this.#ring || this.#loopRecording) return;
+    this.#tracks[this.#activeTrack].markWritten(
+      this.#punchInFrame, Atomics.load(this.#ring.header, RECORDED_FRAME));
+  }
+
+  /**
+   * @returns {number} The length of the punch crossfades in frames.
+   */
+  #punchFadeFrames() {
+    return Math.round(PUNCH_FADE_SECONDS * this.#audioContext.sampleRate);
+  }
+
+  /**
+   * Comps a take over a whole section.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} takeNumber
+   */
+  #setCompForSection(trackIndex, sectionName, takeNumber) {
+    const section = this.#songState.sections.find(s => s.name === sectionName);
+    if (section) {
+      this.#takeStore.setComp(trackIndex, sectionName, takeNumber, 0, section.bar_count);
+    }
+  }
+
+  /**
+   * Writes the comp for a section onto the track, punching each run of comped
+   * bars in with crossfades at the edges. Call `update` on the track afterwards.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   */
+  #flattenSection(trackIndex, sectionName) {
+    const sampleRate = this.#audioContext.sampleRate;
+    const startTime = this.#songState.getSectionStartTime(sectionName);
+    if (startTime === -1) return;
+    const sectionStartFrame = this.#tapeFrameAt(startTime);
+    const framesPerBar = this.#songState.getBarDuration() * sampleRate;
+    const fadeFrames = this.#punchFadeFrames();
+
+    const track = this.#tracks[trackIndex];
+    const runs = this.#takeStore.renderComp(trackIndex, sectionName, framesPerBar, fadeFrames);
+    for (const run of runs) {
+      const startFrame = sectionStartFrame + run.offset;
+      track.punchIn(startFrame, startFrame + run.left.length, fadeFrames);
+      track.writePunched(run.left, run.right, startFrame);
+      track.punchOut();
+    }
+  }
+
+  /**
+   * Saves every comp to the session store.
+   */
+  #saveComps() {
+    this.#sessionStore?.saveValue('comps', this.#takeStore.getSavedComps())
+      .catch((e) => console.error('Failed to save comps.', e));
+  }
+
+  /**
+   * Plays a section with one track replaced by one of its takes.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} takeNumber
+   */
+  #auditionTake(trackIndex, sectionName, takeNumber) {
+    const take = this.#takeStore.get(trackIndex, sectionName, takeNumber);
+    if (!take) {
+      console.warn(`Track ${trackIndex + 1} has no take ${takeNumber} of ${sectionName}.`);
+      return;
+    }
+    const sampleRate = this.#audioContext.sampleRate;
+    const startFrame = this.#play(sectionName, sectionName);
+    this.#tracks[trackIndex].stop();
+
+    const buffer = this.#audioContext.createBuffer(2, take.left.length, sampleRate);
+    buffer.copyToChannel(take.left, 0);
+    buffer.copyToChannel(take.right, 1);
+    const source = this.#audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.#mixerEngine.getChannelInput(trackIndex));
+    // Takes start at the latency-compensated punch-in point, so they play
+    // from the top, in time with the other tracks.
+    source.start(startFrame / sampleRate);
+    this.#auditionSource = source;
+  }
+
+  #stopAudition() {
+    if (this.#auditionSource) {
+      this.#auditionSource.stop();
+      this.#auditionSource.disconnect();
+      this.#auditionSource = null;
+    }
+  }
+
+  /**
+   * Uses a take for a range of bars of a section, and writes the updated comp
+   * to tape.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} takeNumber
+   * @param {number} [firstBar] One-based first bar. Defaults to the first bar of the section.
+   * @param {number} [lastBar] One-based last bar, inclusive. Defaults to the last bar of the section.
+   */
+  #compTake(trackIndex, sectionName, takeNumber, firstBar, lastBar) {
+    const section = this.#songState.sections.find(s => s.name === sectionName);
+    if (!section || !this.#takeStore.get(trackIndex, sectionName, takeNumber)) {
+      console.warn(`Track ${trackIndex + 1} has no take ${takeNumber} of ${sectionName}.`);
+      return;
+    }
+    const startBar = Math.max(0, (firstBar ?? 1) - 1);
+    const endBar = Math.min(section.bar_count, lastBar ?? section.bar_count);
+    const startTime = this.#songState.getSectionStartTime(sectionName);
+    this.#pushEdit(`comp of ${sectionName} on track ${trackIndex + 1}`, trackIndex,
+      this.#tapeFrameAt(startTime),
+      this.#tapeFrameAt(startTime + this.#songState.getSectionDuration(sectionName)));
+    this.#takeStore.setComp(trackIndex, sectionName, takeNumber, startBar, endBar);
+    this.#flattenSection(trackIndex, sectionName);
+    this.#tracks[trackIndex].update();
+    this.#persistTracks();
+    this.#saveComps();
+  }
+
+  /**
+   * Records silence over a range of sections, fading the existing audio out
+   * and back in at the edges.
+   * @param {number} trackIndex
+   * @param {string} startSection
+   * @param {string} [lastSection] Defaults to the start section.
+   * @returns {string} What was erased.
+   */
+  #erase(trackIndex, startSection, lastSection) {
+    const track = this.#tracks[trackIndex];
+    if (!track) {
+      return `Invalid track number: ${trackIndex + 1}`;
+    }
+    if (this.#isRecording) {
+      return 'Stop recording before erasing.';
+    }
+    const interval = this.#songState.getSectionsTimeInterval(startSection, lastSection);
+    if (!interval) {
+      return `Section "${startSection}" not found.`;
+    }
+    const startFrame = this.#tapeFrameAt(interval.startTime);
+    const endFrame = this.#tapeFrameAt(interval.endTime);
+    const sectionNames = this.#songState.getSectionNamesInRange(startSection, lastSection).join(', ');
+    this.#pushEdit(`erase of ${sectionNames} on track ${trackIndex + 1}`,
+      trackIndex, startFrame, endFrame);
+
+    this.#recordSilence(track, startFrame, endFrame);
+    track.update();
+    this.#persistTracks();
+    return `Erased ${sectionNames} on track ${trackIndex + 1}.`;
+  }
+
+  /**
+   * Punches silence into a range of a track, fading the existing audio out
+   * and back in at the edges. Call `update` on the track afterwards.
+   * @param {Track} track
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   */
+  #recordSilence(track, startFrame, endFrame) {
+    const silence = new Float32Array(endFrame - startFrame);
+    track.punchIn(startFrame, endFrame, this.#punchFadeFrames());
+    track.writePunched(silence, silence, startFrame);
+    track.punchOut();
+  }
+
+  /**
+   * Sums tracks through their mixer channels (gain, saturation, pan and
+   * level, but not mute or solo) onto another track over a range of sections,
+   * replacing what was there. The bounce, and clearing the sources, are undone
+   * as one step.
+   * @param {number[]} sourceIndices Zero-based source tracks.
+   * @param {number} destinationIndex Zero-based destination track. It may be
+   *   one of the sources.
+   * @param {string} startSection
+   * @param {string} [lastSection] Defaults to the start section.
+   * @param {boolean} [clearSources] Whether to erase the sources afterwards.
+   * @returns {Promise<string>} What was bounced.
+   */
+  async #bounceTracks(sourceIndices, destinationIndex, startSection, lastSection, clearSources = false) {
+    const invalid = [...sourceIndices, destinationIndex].find(i => !this.#tracks[i]);
+    if (invalid !== undefined) {
+      return `Invalid track number: ${invalid + 1}`;
+    }
+    if (sourceIndices.length === 0) {
+      return 'Choose at least one track to bounce.';
+    }
+    if (this.#isRecording) {
+      return 'Stop recording before bouncing.';
+    }
+    const interval = this.#songState.getSectionsTimeInterval(startSection, lastSection);
+    if (!interval) {
+      return `Section "${startSection}" not found.`;
+    }
+    const sampleRate = this.#audioContext.sampleRate;
+    const startFrame = this.#tapeFrameAt(interval.startTime);
+    const endFrame = this.#tapeFrameAt(interval.endTime);
+    const length = endFrame - startFrame;
+
+    const context = new OfflineAudioContext(2, length, sampleRate);
+    for (const i of sourceIndices) {
+      const { left, right } = this.#tracks[i].read(startFrame, endFrame);
+      const buffer = context.createBuffer(2, length, sampleRate);
+      buffer.copyToChannel(left, 0);
+      buffer.copyToChannel(right, 1);
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      const channel = this.#mixerEngine.createOfflineChannel(context, i);
+      source.connect(channel.inputNode);
+      channel.outputNode.connect(context.destination);
+      source.start();
+    }
+    const rendered = await context.startRendering();
+
+    const sourceNames = sourceIndices.map(i => i + 1).join(', ');
+    const cleared = clearSources ? sourceIndices.filter(i => i !== destinationIndex) : [];
+    const sectionNames = this.#songState.getSectionNamesInRange(startSection, lastSection).join(', ');
+    this.#history.pushGroup(
+      `bounce of tracks ${sourceNames} to track ${destinationIndex + 1} over ${sectionNames}`,
+      [destinationIndex, ...cleared].map(trackIndex => ({
+        trackIndex,
+        startFrame,
+        ...this.#tracks[trackIndex].read(startFrame, endFrame),
+      })));
+
+    const destination = this.#tracks[destinationIndex];
+    destination.write(rendered.getChannelData(0), rendered.getChannelData(1), startFrame);
+    destination.update();
+    for (const i of cleared) {
+      this.#recordSilence(this.#tracks[i], startFrame, endFrame);
+      this.#tracks[i].update();
+    }
+    this.#persistTracks();
+    return `Bounced tracks ${sourceNames} to track ${destinationIndex + 1} over ${sectionNames}`
+      + (cleared.length > 0 ? ', and cleared the sources.' : '.');
+  }
+
+  /**
+   * Deletes a take. The audio on tape is left as it is.
+   * @param {number} trackIndex
+   * @param {string} sectionName
+   * @param {number} takeNumber
+   */
+  #deleteTake(trackIndex, sectionName, takeNumber) {
+    if (!this.#takeStore.delete(trackIndex, sectionName, takeNumber)) {
+      console.warn(`Track ${trackIndex + 1} has no take ${takeNumber} of ${sectionName}.`);
+      return;
+    }
+    this.#sessionStore?.deleteTake(trackIndex, sectionName, takeNumber)
+      .catch((e) => console.error('Failed to delete take.', e));
+    this.#saveComps();
+  }
+
+  /**
+   * Adds the audio currently in a range of a track to the undo history.
+   * Call this before changing the range.
+   * @param {string} label Describes the edit.
+   * @param {number} trackIndex
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   */
+  #pushEdit(label, trackIndex, startFrame, endFrame) {
+    this.#history.push(label, trackIndex, startFrame,
+      this.#tracks[trackIndex].read(startFrame, endFrame));
+  }
+
+  /**
+   * Puts an edit's audio on tape and keeps the audio it replaces in the edit,
+   * so that the same call reverses it.
+   * @param {import('./TapeHistory.js').TapeEdit} edit
+   */
+  #swapEdit(edit) {
+    const track = this.#tracks[edit.trackIndex];
+    const current = track.read(edit.startFrame, edit.startFrame + edit.left.length);
+    track.write(edit.left, edit.right, edit.startFrame);
+    edit.left = current.left;
+    edit.right = current.right;
+    track.update();
+    this.#persistTracks();
+  }
+
+  /**
+   * @returns {string} What was undone.
+   */
+  #undo() {
+    if (this.#isRecording) {
+      return 'Stop recording before undoing.';
+    }
+    const edit = this.#history.undo(this.#swapEdit.bind(this));
+    return edit ? `Undid ${edit.label}.` : 'Nothing to undo.';
+  }
+
+  /**
+   * @returns {string} What was redone.
+   */
+  #redo() {
+    if (this.#isRecording) {
+      return 'Stop recording before redoing.';
+    }
+    const edit = this.#history.redo(this.#swapEdit.bind(this));
+    return edit ? `Redid ${edit.label}.` : 'Nothing to redo.';
+  }
+
+  /**
+   * Stops the transport, and recording on the currently active track.
+   * @returns {Promise<void>} Resolves once the take is finished.
+   */
+  async stop() {
+    const finished = this.#finishRecording();
+    this.#isPlaying = false;
+    this.#updateMonitoring();
+    this.#stopAudition();
+    this.#metronomeEngine.stop();
     for (const track of this.#tracks) {
       track.stop();
     }
+    await finished;
   }
 
   /**
@@ -181,7 +929,10 @@ export class TapeDeckEngine extends ToolHandler {
    * @returns {boolean} True if the tool can be handled, false otherwise.
    */
   canHandle(toolName) {
-    return ['arm', 'play', 'record', 'stop', 'set_latency_compensation'].includes(toolName);
+    return ['arm', 'play', 'record', 'stop', 'set_latency_compensation', 'calibrate_latency',
+      'set_input_monitoring',
+      'audition_take', 'choose_take', 'comp_take', 'delete_take',
+      'erase', 'bounce_tracks', 'undo', 'redo'].includes(toolName);
   }
 
   /**
@@ -192,6 +943,9 @@ export class TapeDeckEngine extends ToolHandler {
    * @returns {Promise<string|void>} A string result from the tool execution, or nothing.
    */
   async callTool(toolName, args) {
+    if (args.track_number !== undefined && !this.#tracks[args.track_number - 1]) {
+      return `Invalid track number: ${args.track_number}. Use 1 to ${this.#tracks.length}.`;
+    }
     switch (toolName) {
       case 'arm':
         this.#arm(args.track_number);
@@ -200,71 +954,280 @@ export class TapeDeckEngine extends ToolHandler {
         this.#play(args.start_section, args.last_section, args.loop || false);
         break;
       case 'record':
-        this.#record(args.start_section, args.last_section);
-        break;
-      case 'stop':
-        this.stop();
+        await this.#finishRecording();
+        this.#record(args.start_section, args.last_section,
+          args.pre_roll_bars ?? 0, args.count_in_bars ?? DEFAULT_COUNT_IN_BARS,
+          args.loop || false);
         break;
+      case 'stop': {
+        await this.stop();
+        const report = this.#dropoutReport;
+        this.#dropoutReport = null;
+        return report ?? undefined;
+      }
       case 'set_latency_compensation':
-        this.#setLatencyCompensation(args.seconds);
+        await this.#setLatencyCompensation(args.seconds);
+        break;
+      case 'calibrate_latency':
+        return this.#calibrateLatency();
+      case 'set_input_monitoring':
+        return this.#setInputMonitoring(args.mode);
+      case 'audition_take':
+        this.#auditionTake(this.#trackIndexArg(args), args.section, args.take_number);
+        break;
+      case 'choose_take':
+        this.#compTake(this.#trackIndexArg(args), args.section, args.take_number);
+        break;
+      case 'comp_take':
+        this.#compTake(this.#trackIndexArg(args), args.section, args.take_number,
+          args.first_bar, args.last_bar);
         break;
+      case 'delete_take':
+        this.#deleteTake(this.#trackIndexArg(args), args.section, args.take_number);
+        break;
+      case 'erase':
+        return this.#erase(this.#trackIndexArg(args), args.start_section, args.last_section);
+      case 'bounce_tracks':
+        return this.#bounceTracks((args.source_tracks ?? []).map(n => n - 1),
+          args.destination_track - 1, args.start_section, args.last_section,
+          args.clear_sources || false);
+      case 'undo':
+        return this.#undo();
+      case 'redo':
+        return this.#redo();
     }
   }
 
   /**
-   * Calculates the start and end time for a range of song sections.
-   * @param {string} startSectionName The name of the first section.
-   * @param {string} [endSectionName] The name of the last section. If not provided, only the start section is used.
-   * @returns {{startTime: number, endTime: number} | null} An object with the 
-   * start and end times in seconds, or null if no valid sections are found.
+   * The transport settings can be undone as commands. Changes to the tape
+   * itself are undone with the `undo` tool instead.
+   * @override
+   * @param {string} toolName
+   * @param {object} args
+   * @returns {{toolName: string, args: object} | null}
    */
-  #getSectionsTimeInterval(startSectionName, endSectionName) {
-    if (!startSectionName) {
-      return null;
+  getInverse(toolName, args) {
+    switch (toolName) {
+      case 'arm':
+        return { toolName, args: { track_number: this.#activeTrack + 1 } };
+      case 'set_latency_compensation':
+      case 'calibrate_latency':
+        return { toolName: 'set_latency_compensation', args: { seconds: this.#latencyCompensation } };
+      case 'set_input_monitoring':
+        return { toolName, args: { mode: this.#monitorMode } };
     }
+    return null;
+  }
 
-    const allSectionNames = this.#songState.sections.map(s => s.name);
-    const startIndex = allSectionNames.indexOf(startSectionName);
-    const endIndex = endSectionName ? allSectionNames.indexOf(endSectionName) : startIndex;
+  /**
+   * @param {{track_number?: number}} args
+   * @returns {number} The zero-based track index from the arguments,
+   *   defaulting to the armed track.
+   */
+  #trackIndexArg(args) {
+    return args.track_number !== undefined ? args.track_number - 1 : this.#activeTrack;
+  }
 
-    if (startIndex === -1 || endIndex === -1 || startIndex > endIndex) {
-      console.warn(`Invalid section range: from "${startSectionName}" to "${endSectionName}".`);
-      return null;
+  /**
+   * 
+   * @param {number} trackNumber 
+   */
+  #arm(trackNumber) {
+    console.log(`Arming track ${trackNumber}`);
+    this.#activeTrack = trackNumber - 1;
+    this.#connectMonitor();
+    this.#saveState();
+  }
+
+  /**
+   * @param {MonitorMode} mode
+   * @returns {string}
+   */
+  #setInputMonitoring(mode) {
+    if (!MONITOR_MODES.includes(mode)) {
+      return `Unknown monitoring mode "${mode}". Use ${MONITOR_MODES.join(', ')}.`;
     }
+    this.#monitorMode = mode;
+    this.#updateMonitoring();
+    this.#saveState();
+    return `Input monitoring is ${mode}.`;
+  }
 
-    const sectionsInRange = allSectionNames.slice(startIndex, endIndex + 1);
+  /**
+   * Routes the monitored input through the armed track's channel strip, so
+   * that its saturation, pan and level apply.
+   */
+  #connectMonitor() {
+    if (!this.#monitorNode) return;
+    this.#monitorNode.disconnect();
+    this.#monitorNode.connect(this.#mixerEngine.getChannelInput(this.#activeTrack));
+  }
 
-    const minStartTime = this.#songState.getSectionStartTime(sectionsInRange[0]);
+  /**
+   * Turns input monitoring on or off for the current mode and transport state.
+   * @param {number} [time] When to switch, in audio context seconds. Defaults
+   *   to now. Anything scheduled after this time is cancelled.
+   */
+  #updateMonitoring(time = this.#audioContext.currentTime) {
+    if (!this.#monitorNode) return;
+    const monitorInput = this.#monitorMode === 'always'
+      || (this.#monitorMode === 'auto' && (!this.#isPlaying || this.#isRecording));
+    this.#monitorNode.gain.cancelScheduledValues(time);
+    this.#monitorNode.gain.setValueAtTime(monitorInput ? 1 : 0, time);
+  }
 
-    if (minStartTime === -1) {
-      return null;
+  /**
+   * In auto mode the input replaces the armed track's tape over the punch
+   * window, as on a tape machine, so the old take is not heard under the new
+   * one.
+   * @param {number} punchInTime The audio context time at which the punch-in
+   *   point is heard.
+   * @param {number} lengthFrames The length of the punch window.
+   */
+  #muteTapeWhileMonitoring(punchInTime, lengthFrames) {
+    if (this.#monitorMode !== 'auto') return;
+    const track = this.#tracks[this.#activeTrack];
+    track.setPlaybackMuted(true, Math.max(this.#audioContext.currentTime, punchInTime));
+    // A loop recording stays muted for every pass, until it finishes.
+    if (!this.#loopRecording) {
+      track.setPlaybackMuted(false, punchInTime + lengthFrames / this.#audioContext.sampleRate);
     }
+  }
+
+  /**
+   * Playback reads the tape ahead by the latency compensation, which is where
+   * audio recorded against that moment lands, so everything that works on
+   * the tape by song position (recording, comps, erase and bounce) uses this.
+   * @param {number} songTime Seconds from the top of the song.
+   * @returns {number} The tape frame heard at that point in the song.
+   */
+  #tapeFrameAt(songTime) {
+    return Math.round((songTime + this.#latencyCompensation) * this.#audioContext.sampleRate);
+  }
 
-    let maxEndTime = minStartTime;
-    let currentEndTime = minStartTime;
-    for (const sectionName of sectionsInRange) {
-      const duration = this.#songState.getSectionDuration(sectionName);
-      currentEndTime += duration;
+  /**
+   * Sets the latency compensation for all tracks, and remembers it for the
+   * current input and output devices.
+   * @param {number} seconds
+   */
+  async #setLatencyCompensation(seconds) {
+    this.#applyLatencyCompensation(seconds);
+    this.#latencyByDevice[await this.#devicePairKey()] = seconds;
+    this.#saveState();
+  }
+
+  /**
+   * Devices are named by label rather than id, because the default devices
+   * have the id 'default' whichever device the system is using.
+   * @returns {Promise<string>} Identifies the current input and output
+   *   devices, which together determine the round-trip latency.
+   */
+  async #devicePairKey() {
+    const input = this.#audioStream.getAudioTracks()[0];
+    const inputSettings = input?.getSettings();
+    const inputKey = input?.label || inputSettings?.groupId || inputSettings?.deviceId || 'default';
+    // sinkId is only a string when the output was chosen by id.
+    const sinkId = /** @type {{sinkId?: unknown}} */ (this.#audioContext).sinkId;
+    const outputId = typeof sinkId === 'string' && sinkId ? sinkId : 'default';
+    let outputKey = outputId;
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const output = devices.find(device => device.kind === 'audiooutput' && device.deviceId === outputId);
+      outputKey = output?.label || output?.groupId || outputId;
+    } catch (e) {
+      console.warn('Could not list the audio outputs.', e);
+    }
+    return `${inputKey}|${outputKey}`;
+  }
+
+  /**
+   * Measures the round-trip latency by playing a test signal through the
+   * output while recording the input, which must hear the output through a
+   * loopback cable or speakers near the microphone. The result is applied to
+   * every track.
+   * @returns {Promise<string>} A summary of the measurement.
+   */
+  async #calibrateLatency() {
+    if (this.#isPlaying || this.#isRecording) {
+      return 'Stop the tape before calibrating latency.';
+    }
+    if (this.#calibration) {
+      return 'Latency calibration is already running.';
+    }
+    const sampleRate = this.#audioContext.sampleRate;
+    const signal = createTestSignal();
+    const buffer = this.#audioContext.createBuffer(1, signal.length, sampleRate);
+    buffer.copyToChannel(signal, 0);
+    const source = this.#audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.#mixerEngine.mainOutput);
+
+    // Monitoring would play the test signal again, confusing the measurement.
+    this.#monitorNode?.gain.setValueAtTime(0, this.#audioContext.currentTime);
+    const startTime = this.#audioContext.currentTime + 0.1;
+    const samples = new Float32Array(signal.length + Math.round(MAX_LATENCY_SECONDS * sampleRate));
+    const captured = new Promise((resolve) => {
+      this.#calibration = {
+        startFrame: Math.round(startTime * sampleRate), samples, filled: 0, resolve: () => resolve(),
+      };
+    });
+    this.#updateCapture();
+    const timedOut = new Promise((resolve) => setTimeout(resolve,
+      (0.1 + samples.length / sampleRate + CALIBRATION_TIMEOUT_SECONDS) * 1000));
+    source.start(startTime);
+    await Promise.race([captured, timedOut]);
+    const filled = this.#calibration?.filled ?? 0;
+    this.#calibration = null;
+    this.#updateCapture();
+    source.disconnect();
+    this.#updateMonitoring();
+
+    if (filled < samples.length) {
+      return 'Latency calibration did not receive enough input. Check that the microphone is working.';
     }
-    maxEndTime = currentEndTime;
+    const latencyFrames = measureLatency(samples, signal);
+    if (latencyFrames === null) {
+      return 'The test signal was not heard on the input. Connect an output to an input, ' +
+        'or turn the speakers up near the microphone, and try again.';
+    }
+    const seconds = latencyFrames / sampleRate;
+    await this.#setLatencyCompensation(seconds);
+    return `Measured ${(seconds * 1000).toFixed(1)} ms of round-trip latency and applied it to every track.`;
+  }
 
-    return { startTime: minStartTime, endTime: maxEndTime };
+  /**
+   * Tells the recording worker whether to post input audio, so that it only
+   * copies audio while calibrating. Recordings never leave the worker.
+   */
+  #updateCapture() {
+    this.#recordingWorker?.postMessage({ type: 'capture', enabled: this.#calibration !== null });
   }
 
   /**
-   * 
-   * @param {number} trackNumber 
+   * Copies input audio into the calibration capture.
+   * @param {{left: Float32Array, right: Float32Array, frameNumber: number}} data
    */
-  #arm(trackNumber) {
-    console.log(`Arming track ${trackNumber}`);
-    this.#activeTrack = trackNumber - 1;
+  #captureCalibration({ left, right, frameNumber }) {
+    const calibration = this.#calibration;
+    if (!calibration) return;
+    const { startFrame, samples } = calibration;
+    for (let i = Math.max(0, startFrame - frameNumber); i < left.length; i++) {
+      const position = frameNumber + i - startFrame;
+      if (position >= samples.length) break;
+      samples[position] = left[i] + right[i];
+    }
+    calibration.filled = Math.max(calibration.filled,
+      Math.min(samples.length, frameNumber + left.length - startFrame));
+    if (calibration.filled >= samples.length) {
+      calibration.resolve();
+    }
   }
 
   /**
-   * Sets the latency compensation for all tracks.
    * @param {number} seconds
    */
-  #setLatencyCompensation(seconds) {
+  #applyLatencyCompensation(seconds) {
+    this.#latencyCompensation = seconds;
     for (const track of this.#tracks) {
       track.setLatencyCompensation(seconds);
     }
@@ -275,33 +1238,74 @@ export class TapeDeckEngine extends ToolHandler {
    * @param {string} startSection 
    * @param {string | undefined} lastSection 
    * @param {boolean} loop 
-   * @returns 
+   * @param {number} [preRollSeconds] How far before the first section the tape starts.
+   * @param {number} [countInSeconds] How long the metronome clicks before the tape starts.
+   * @returns {number} The audio context frame at which the tape reaches the
+   *   start of the first section.
    */
-  #play(startSection, lastSection, loop = false) {
-    const startTime = this.#audioContext.currentTime + 0.05; // 50ms delay
-    const startFrame = Math.round(startTime * this.#audioContext.sampleRate);
-    this.#metronomeEngine.start(startFrame);
+  #play(startSection, lastSection, loop = false, preRollSeconds = 0, countInSeconds = 0) {
+    this.#stopAudition();
+    const sampleRate = this.#audioContext.sampleRate;
+    const clickStartTime = this.#audioContext.currentTime + 0.05; // 50ms delay
+    const clickStartFrame = Math.round(clickStartTime * sampleRate);
+    this.#metronomeEngine.start(clickStartFrame);
 
-    const tapeInterval = this.#getSectionsTimeInterval(startSection, lastSection)
+    const tapeInterval = this.#songState.getSectionsTimeInterval(startSection, lastSection)
       || { startTime: 0, endTime: null };
-    const tapeStartTime = tapeInterval.startTime;
+    const tapeStartTime = tapeInterval.startTime - preRollSeconds;
     const tapeEndTime = tapeInterval.endTime;
+    const startFrame = clickStartFrame + Math.round(countInSeconds * sampleRate);
 
     console.log(`Playing from ${startSection || 'start'} to ${lastSection || startSection} (${tapeStartTime}s to ${tapeEndTime}s)`);
+    this.#isPlaying = true;
+    this.#updateMonitoring();
 
     for (let i = 0; i < this.#tracks.length; i++) {
       const track = this.#tracks[i];
       track.play(startFrame, tapeStartTime, tapeEndTime, loop);
     }
+    return startFrame + Math.round(preRollSeconds * sampleRate);
   }
 
   /**
-   * 
+   * Records over the given sections. Recording is punched in at the start of
+   * the first section and punched out at the end of the last one.
+   * The metronome first counts in, then the tape rolls from the pre-roll
+   * point so the musician hears what leads into the section.
    * @param {string} startSection 
    * @param {string | undefined} lastSection 
+   * @param {number} preRollBars Bars of tape played before the first section.
+   * @param {number} countInBars Bars of click-only count-in before the tape starts.
+   * @param {boolean} loop Whether to cycle over the sections, recording
+   *   each pass as a separate take.
    */
-  #record(startSection, lastSection) {
-    this.#play(startSection, lastSection);
-    this.startRecording();
+  #record(startSection, lastSection, preRollBars, countInBars, loop) {
+    const interval = this.#songState.getSectionsTimeInterval(startSection, lastSection);
+    if (!interval || interval.endTime <= interval.startTime) {
+      console.warn('Cannot record without a valid section range.');
+      return;
+    }
+    const sampleRate = this.#audioContext.sampleRate;
+    const punchInFrame = this.#tapeFrameAt(interval.startTime);
+    const punchOutFrame = this.#tapeFrameAt(interval.endTime);
+    const sections = this.#songState.getSectionNamesInRange(startSection, lastSection).map(name => ({
+      name,
+      offset: this.#tapeFrameAt(this.#songState.getSectionStartTime(name)) - punchInFrame,
+      length: Math.round(this.#songState.getSectionDuration(name) * sampleRate),
+    }));
+
+    const barDuration = this.#songState.getBarDuration();
+    const requestedPreRoll = Math.max(0, preRollBars) * barDuration;
+    // The tape cannot roll from before the top of the song, and when looping
+    // the pre-roll would be part of every pass, so any pre-roll that cannot
+    // be played is counted in on the click instead.
+    const preRollSeconds = loop ? 0 : Math.min(requestedPreRoll, interval.startTime);
+    const countInSeconds = Math.max(0, countInBars) * barDuration + (requestedPreRoll - preRollSeconds);
+
+    const startFrame = this.#play(startSection, lastSection, loop, preRollSeconds, countInSeconds);
+    // Input played against the punch-in point arrives the round-trip latency
+    // after the tape reaches it.
+    const latencyFrames = punchInFrame - Math.round(interval.startTime * sampleRate);
+    this.startRecording(startFrame + latencyFrames, punchInFrame, punchOutFrame, sections, loop);
   }
 }
\ No newline at end of file
@@ -0,0 +1,184 @@
+// @ts-check
+
+/**
+ * @typedef {import('./SessionStore.js').SessionStore} SessionStore
+ *
+ * @typedef {object} TapeEdit
+ * @property {number} id Unique, increasing identifier.
+ * @property {string} label Describes the edit, e.g. "recording on track 2".
+ * @property {number} trackIndex Zero-based track index.
+ * @property {number} startFrame The first tape frame of the edited range.
+ * @property {Float32Array} left The left channel of the audio that is not on tape.
+ * @property {Float32Array} right The right channel of the audio that is not on tape.
+ * @property {number} [group] Edits pushed together share the id of the first
+ *   one, and are undone and redone together.
+ *
+ * @typedef {object} EditRegion
+ * @property {number} trackIndex
+ * @property {number} startFrame
+ * @property {Float32Array} left The audio in the region before the edit.
+ * @property {Float32Array} right
+ */
+
+// Undo history is dropped, oldest first, beyond this many bytes of audio.
+const MAX_HISTORY_BYTES = 256 * 1024 * 1024;
+
+/**
+ * @class TapeHistory
+ * @description Undo and redo stacks for edits to the tape. Each edit holds
+ * the audio that is *not* on tape for its frame range: before an undo that is
+ * the audio that was overwritten, and after it the audio that was removed.
+ * Undoing or redoing swaps the two. The history is persisted when a session
+ * store is available. Only audio is kept: takes and comps in the TakeStore
+ * are not part of an edit, so undoing a recording leaves its takes and comp
+ * choices in place.
+ */
+export class TapeHistory {
+  /** @type {TapeEdit[]} */
+  #undoStack = [];
+  /** @type {TapeEdit[]} */
+  #redoStack = [];
+  /** @type {number} */
+  #nextId = 1;
+  /** @type {SessionStore | null} */
+  #sessionStore;
+
+  /**
+   * @param {SessionStore | null} sessionStore
+   */
+  constructor(sessionStore) {
+    this.#sessionStore = sessionStore;
+  }
+
+  /**
+   * Loads the persisted history.
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    if (!this.#sessionStore) return;
+    const [order, edits] = await Promise.all([
+      this.#sessionStore.loadValue('tape-history'),
+      this.#sessionStore.loadHistoryEntries(),
+    ]);
+    if (!order) return;
+    const byId = new Map(edits.map(edit => [edit.id, edit]));
+    /** @param {number[]} ids */
+    const resolve = (ids) => ids.map(id => byId.get(id)).filter(edit => edit !== undefined);
+    this.#undoStack = resolve(order.undo);
+    this.#redoStack = resolve(order.redo);
+    this.#nextId = edits.reduce((max, edit) => Math.max(max, edit.id), 0) + 1;
+  }
+
+  /**
+   * Records an edit. Clears the redo stack.
+   * @param {string} label
+   * @param {number} trackIndex
+   * @param {number} startFrame
+   * @param {{left: Float32Array, right: Float32Array}} overwritten The audio
+   *   in the edited range before the edit.
+   */
+  push(label, trackIndex, startFrame, overwritten) {
+    this.pushGroup(label, [{ trackIndex, startFrame, ...overwritten }]);
+  }
+
+  /**
+   * Records an edit that changes several regions, possibly on several tracks,
+   * as one step. Clears the redo stack.
+   * @param {string} label
+   * @param {EditRegion[]} regions
+   */
+  pushGroup(label, regions) {
+    if (regions.length === 0) return;
+    const group = regions.length > 1 ? this.#nextId : undefined;
+    const edits = regions.map(region => ({ id: this.#nextId++, label, ...region, group }));
+    const discarded = this.#redoStack;
+    this.#redoStack = [];
+    this.#undoStack.push(...edits);
+    discarded.push(...this.#trim());
+    this.#persist(edits, discarded);
+  }
+
+  /**
+   * Undoes the most recent edit.
+   * @param {(edit: TapeEdit) => void} swap Writes the edit's audio to tape,
+   *   and replaces it with the audio that was there.
+   * @returns {TapeEdit | undefined} The edit that was undone, if any.
+   */
+  undo(swap) {
+    return this.#move(this.#undoStack, this.#redoStack, swap);
+  }
+
+  /**
+   * Redoes the most recently undone edit.
+   * @param {(edit: TapeEdit) => void} swap As for `undo`.
+   * @returns {TapeEdit | undefined} The edit that was redone, if any.
+   */
+  redo(swap) {
+    return this.#move(this.#redoStack, this.#undoStack, swap);
+  }
+
+  /**
+   * Swaps the top edit of one stack, along with the rest of its group, and
+   * moves it to the other stack. Popping a group reverses it, so edits are
+   * undone in the reverse of the order they were made, and redone in order.
+   * @param {TapeEdit[]} from
+   * @param {TapeEdit[]} to
+   * @param {(edit: TapeEdit) => void} swap
+   * @returns {TapeEdit | undefined} The first edit moved, if any.
+   */
+  #move(from, to, swap) {
+    const edit = from.pop();
+    if (!edit) return undefined;
+    const moved = [edit];
+    while (edit.group !== undefined && from.length > 0
+      && from[from.length - 1].group === edit.group) {
+      moved.push(/** @type {TapeEdit} */ (from.pop()));
+    }
+    for (const e of moved) {
+      swap(e);
+      to.push(e);
+    }
+    this.#persist(moved, []);
+    return edit;
+  }
+
+  /**
+   * Drops the oldest edits until the history fits in MAX_HISTORY_BYTES.
+   * Groups are dropped whole. The newest edit is always kept.
+   * @returns {TapeEdit[]} The dropped edits.
+   */
+  #trim() {
+    const bytes = (/** @type {TapeEdit} */ edit) => edit.left.byteLength + edit.right.byteLength;
+    let total = [...this.#undoStack, ...this.#redoStack].reduce((sum, e) => sum + bytes(e), 0);
+    const dropped = [];
+    while (total > MAX_HISTORY_BYTES && this.#undoStack.length > 1) {
+      const edit = /** @type {TapeEdit} */ (this.#undoStack.shift());
+      total -= bytes(edit);
+      dropped.push(edit);
+      while (edit.group !== undefined && this.#undoStack[0]?.group === edit.group
+        && this.#undoStack.length > 1) {
+        const member = /** @type {TapeEdit} */ (this.#undoStack.shift());
+        total -= bytes(member);
+        dropped.push(member);
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * @param {TapeEdit[]} changed
+   * @param {TapeEdit[]} deleted
+   */
+  #persist(changed, deleted) {
+    if (!this.#sessionStore) return;
+    const order = {
+      undo: this.#undoStack.map(e => e.id),
+      redo: this.#redoStack.map(e => e.id),
+    };
+    Promise.all([
+      this.#sessionStore.saveHistoryEntries(changed),
+      this.#sessionStore.deleteHistoryEntries(deleted.map(e => e.id)),
+      this.#sessionStore.saveValue('tape-history', order),
+    ]).catch((e) => console.error('Failed to persist tape history.', e));
+  }
+}
\ No newline at end of file
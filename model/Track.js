@@ -1,20 +1,35 @@
 // @ts-check
 
+import { CHUNK_FRAMES, TrackChunks } from './TrackChunks.js';
+
 const PLAYBACK_PROCESSOR_PATH = 'model/PlaybackProcessor.js';
-const FIVE_MINUTES_IN_SECONDS = 5 * 60;
 
 /**
- * Represents a single audio track with pre-allocated buffers and analysis capabilities.
+ * Whether buffers can be shared with the playback processor. This needs the
+ * page to be cross-origin isolated, i.e. served with
+ * `Cross-Origin-Opener-Policy: same-origin` and
+ * `Cross-Origin-Embedder-Policy: require-corp`.
+ * @returns {boolean}
+ */
+function canShareBuffers() {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Represents a single audio track with chunked, growable buffers and analysis
+ * capabilities. Regions that were never written hold no memory and are silent.
  */
 export class Track {
-  /** @type {AudioBuffer} */
-  #audioBuffer;
+  /** @type {TrackChunks} The track's audio. */
+  #chunks;
+  /** @type {boolean} True if the playback processor reads the chunks directly. */
+  #shared;
+  /** @type {Set<number>} Chunks changed since the last `update`, when not shared. */
+  #unsentChunks = new Set();
   /** @type {AudioContext} */
   #audioContext;
   /** @type {number} */
   #sampleRate;
-  /** @type {number} */
-  #bufferLength;
   /** @type {AudioWorkletNode} */
   #playbackNode;
   /** @type {GainNode} */
@@ -39,6 +54,12 @@ export class Track {
   #statsMaxFrame = -Infinity;
   /** @type {((value: any) => void) | null} */
   #statsPromiseResolver = null;
+  /** @type {Set<number>} Chunks written since the last call to takeDirtyChunks. */
+  #dirtyChunks = new Set();
+  /** @type {number} One past the last frame that holds recorded audio. */
+  #recordedEndFrame = 0;
+  /** @type {number} Seconds that playback reads ahead on the tape. */
+  #latencyCompensation = 0;
 
   /**
    * Asynchronously creates and initializes a Track instance.
@@ -57,16 +78,23 @@ export class Track {
   constructor(audioContext) {
     this.#audioContext = audioContext;
     this.#sampleRate = audioContext.sampleRate;
-    this.#bufferLength = this.#sampleRate * FIVE_MINUTES_IN_SECONDS;
 
-    // Pre-allocate buffers for 5 minutes of stereo audio
-    this.#audioBuffer =
-      this.#audioContext.createBuffer(2, this.#bufferLength, this.#sampleRate);
+    // When possible, chunks are shared with the playback processor, so writes
+    // are audible without copying them.
+    this.#shared = canShareBuffers();
+    if (!this.#shared) {
+      console.warn('The page is not cross-origin isolated. Track buffers will be copied to the playback processor.');
+    }
+    this.#chunks = new TrackChunks(this.#shared, {
+      onChunkCreated: this.#handleChunkCreated.bind(this),
+      onWrite: this.#handleWrite.bind(this),
+    });
 
     this.#playbackNode = new AudioWorkletNode(this.#audioContext, 'playback-processor', {
       numberOfInputs: 0,
       numberOfOutputs: 1,
-      outputChannelCount: [2]
+      outputChannelCount: [2],
+      processorOptions: { chunkFrames: CHUNK_FRAMES }
     });
     this.#outputNode = this.#audioContext.createGain();
     this.#playbackNode.connect(this.#outputNode);
@@ -85,6 +113,18 @@ export class Track {
     this.#outputNode.connect(destination);
   }
 
+  /**
+   * Silences the track's playback from a given time, or brings it back.
+   * Later changes scheduled before this call are cancelled.
+   * @param {boolean} muted
+   * @param {number} [time] The audio context time. Defaults to now.
+   */
+  setPlaybackMuted(muted, time = this.#audioContext.currentTime) {
+    const gain = this.#outputNode.gain;
+    gain.cancelScheduledValues(time);
+    gain.setValueAtTime(muted ? 0 : 1, time);
+  }
+
   /**
   * Asynchronously creates and initializes a Track instance.
    * @param {AudioContext} audioContext The audio context.
@@ -95,8 +135,6 @@ export class Track {
     return new Track(audioContext);
   }
 
-  #lastFrameWritten = 0;
-
   /**
    * Writes audio data into the track's buffers at a specific frame offset.
    * @param {Float32Array} leftData The left channel audio data.
@@ -104,34 +142,170 @@ export class Track {
    * @param {number} startFrame The frame number where the write should begin.
    */
   write(leftData, rightData, startFrame) {
-    if (startFrame < 0) {
-      console.warn('Attempted to write with a negative startFrame.');
-      return;
+    this.#chunks.write(leftData, rightData, startFrame);
+  }
+
+  /**
+   * Tracks what a write changed, for `update`, stats and persistence.
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   * @param {number} writtenEndFrame One past the last frame that landed in a
+   *   chunk, or 0 if none did.
+   */
+  #handleWrite(startFrame, endFrame, writtenEndFrame) {
+    if (!this.#shared) {
+      for (let index = Math.floor(startFrame / CHUNK_FRAMES); index * CHUNK_FRAMES < endFrame; index++) {
+        if (this.#chunks.get(index)) this.#unsentChunks.add(index);
+      }
     }
+    // Only audio that landed in a chunk extends the recording.
+    this.#recordedEndFrame = Math.max(this.#recordedEndFrame, writtenEndFrame);
+    this.#markDirty(startFrame, endFrame);
+  }
 
-    if (startFrame - this.#lastFrameWritten > 1) {
-      console.warn('Skipped frames: ' + (startFrame - this.#lastFrameWritten));
+  /**
+   * Hands a new shared chunk to the playback processor straight away.
+   * @param {number} index
+   * @param {import('./TrackChunks.js').Chunk} chunk
+   */
+  #handleChunkCreated(index, chunk) {
+    if (this.#shared) {
+      this.#playbackNode.port.postMessage({
+        type: 'set_chunk',
+        data: { index, left: chunk.left, right: chunk.right }
+      });
     }
+  }
 
-    const endFrame = startFrame + leftData.length;
-    if (endFrame > this.#bufferLength) {
-      console.warn('Recording exceeds the 5-minute track limit. Truncating data.');
-      const framesToWrite = this.#bufferLength - startFrame;
-      if (framesToWrite <= 0) return;
-
-      // Create a new Float32Array to satisfy the strict type checking for copyToChannel.
-      this.#audioBuffer.copyToChannel(new Float32Array(leftData.subarray(0, framesToWrite)), 0, startFrame);
-      this.#audioBuffer.copyToChannel(new Float32Array(rightData.subarray(0, framesToWrite)), 1, startFrame);
-    } else {
-      // Create a new Float32Array to satisfy the strict type checking for copyToChannel.
-      this.#audioBuffer.copyToChannel(new Float32Array(leftData), 0, startFrame);
-      this.#audioBuffer.copyToChannel(new Float32Array(rightData), 1, startFrame);
-      this.#lastFrameWritten = startFrame + leftData.length;
+  /**
+   * Allocates every chunk in a frame range and returns them, so that the
+   * recording worker can write into them. They are only shared with it when
+   * the page is cross-origin isolated, as the recording ring requires too.
+   * Report what it wrote with `markWritten`.
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   * @returns {import('./SessionStore.js').TrackChunk[]}
+   */
+  shareChunks(startFrame, endFrame) {
+    const chunks = [];
+    for (let index = Math.floor(startFrame / CHUNK_FRAMES); index * CHUNK_FRAMES < endFrame; index++) {
+      const { left, right } = this.#chunks.getOrCreate(index);
+      chunks.push({ index, left, right });
     }
+    return chunks;
+  }
 
-    // Mark the written region as dirty for the next stats calculation.
+  /**
+   * Accounts for audio written into the shared chunks by another thread, for
+   * stats and persistence.
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   */
+  markWritten(startFrame, endFrame) {
+    if (endFrame <= startFrame) return;
+    this.#recordedEndFrame = Math.max(this.#recordedEndFrame, endFrame);
+    this.#markDirty(startFrame, endFrame);
+  }
+
+  /**
+   * Starts a punch recording pass. Subsequent calls to `writePunched` only
+   * write inside the window, and crossfade with the existing audio over
+   * `fadeFrames` at the punch-in and punch-out points.
+   * @param {number} inFrame The first frame of the punch window.
+   * @param {number} outFrame The frame after the last frame of the window.
+   * @param {number} fadeFrames The length of the crossfades.
+   */
+  punchIn(inFrame, outFrame, fadeFrames) {
+    this.#chunks.punchIn(inFrame, outFrame, fadeFrames);
+  }
+
+  /**
+   * Writes recorded audio clamped to the punch window started by `punchIn`.
+   * @param {Float32Array} leftData The left channel audio data.
+   * @param {Float32Array} rightData The right channel audio data.
+   * @param {number} startFrame The frame number where the write should begin.
+   */
+  writePunched(leftData, rightData, startFrame) {
+    this.#chunks.writePunched(leftData, rightData, startFrame);
+  }
+
+  /**
+   * Ends the punch recording pass. If recording stopped before the punch-out
+   * point, the end of the new audio is crossfaded back into what it replaced.
+   */
+  punchOut() {
+    this.#chunks.punchOut();
+  }
+
+  /**
+   * Marks a frame range as modified, both for the next stats calculation and
+   * for persistence.
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   */
+  #markDirty(startFrame, endFrame) {
+    if (endFrame <= startFrame) return;
     this.#statsMinFrame = Math.min(this.#statsMinFrame, startFrame);
     this.#statsMaxFrame = Math.max(this.#statsMaxFrame, endFrame);
+    const firstChunk = Math.floor(startFrame / CHUNK_FRAMES);
+    const lastChunk = Math.floor((endFrame - 1) / CHUNK_FRAMES);
+    for (let i = firstChunk; i <= lastChunk; i++) {
+      this.#dirtyChunks.add(i);
+    }
+  }
+
+  /**
+   * Returns copies of every chunk modified since the last call, and clears
+   * the modified set. Used to persist recordings incrementally.
+   * @returns {import('./SessionStore.js').TrackChunk[]}
+   */
+  takeDirtyChunks() {
+    const chunks = [];
+    for (const index of [...this.#dirtyChunks].sort((a, b) => a - b)) {
+      const chunk = this.#chunks.get(index);
+      if (!chunk) continue;
+      chunks.push({ index, left: chunk.left.slice(), right: chunk.right.slice() });
+    }
+    this.#dirtyChunks.clear();
+    return chunks;
+  }
+
+  /**
+   * Restores a previously persisted chunk. The chunk is not marked for
+   * persistence again. Call `update` afterwards to make it audible.
+   * @param {import('./SessionStore.js').TrackChunk} chunk
+   */
+  loadChunk(chunk) {
+    const startFrame = chunk.index * CHUNK_FRAMES;
+    const framesToWrite = Math.min(chunk.left.length, CHUNK_FRAMES);
+    if (framesToWrite <= 0) return;
+    const target = this.#chunks.getOrCreate(chunk.index);
+    target.left.set(chunk.left.subarray(0, framesToWrite));
+    target.right.set(chunk.right.subarray(0, framesToWrite));
+    this.#unsentChunks.add(chunk.index);
+    this.#statsMinFrame = Math.min(this.#statsMinFrame, startFrame);
+    this.#statsMaxFrame = Math.max(this.#statsMaxFrame, startFrame + framesToWrite);
+    this.#recordedEndFrame = Math.max(this.#recordedEndFrame, startFrame + framesToWrite);
+  }
+
+  /**
+   * The number of frames from the start of the tape to the end of the last
+   * recorded region. Zero for a track that has never been recorded.
+   * @returns {number}
+   */
+  get recordedLength() {
+    return this.#recordedEndFrame;
+  }
+
+  /**
+   * Returns a copy of the audio in a frame range. Frames that were never
+   * recorded are silent.
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   * @returns {{left: Float32Array, right: Float32Array}}
+   */
+  read(startFrame, endFrame) {
+    return this.#chunks.read(startFrame, endFrame);
   }
 
   /** @type {HTMLCanvasElement | null} */
@@ -193,18 +367,25 @@ export class Track {
   }
 
   /**
-   * Sends the current audio buffer to the playback processor.
+   * Makes everything written so far audible. With shared buffers the playback
+   * processor already reads the written audio, so there is nothing to do.
+   * Otherwise each chunk changed since the last update is copied to the
+   * processor.
    */
   update() {
-    // We need to send copies because the AudioWorkletProcessor will take ownership
-    const left = this.#audioBuffer.getChannelData(0).slice();
-    const right = this.#audioBuffer.getChannelData(1).slice();
-
-    this.#playbackNode.port.postMessage({
-      type: 'set_buffers',
-      data: { left, right }
-    }, [left.buffer, right.buffer]);
-    // this.updateCanvas(left, right);
+    if (this.#shared) return;
+    for (const index of this.#unsentChunks) {
+      const chunk = this.#chunks.get(index);
+      if (!chunk) continue;
+      // We need to send copies because the AudioWorkletProcessor will take ownership
+      const left = chunk.left.slice();
+      const right = chunk.right.slice();
+      this.#playbackNode.port.postMessage({
+        type: 'set_chunk',
+        data: { index, left, right }
+      }, [left.buffer, right.buffer]);
+    }
+    this.#unsentChunks.clear();
   }
 
   /**
@@ -228,12 +409,24 @@ export class Track {
    * @param {number} seconds The latency compensation in seconds.
    */
   setLatencyCompensation(seconds) {
+    this.#latencyCompensation = seconds;
     const latencyParam = this.#playbackNode.parameters.get('latencyCompensation');
     if (latencyParam) {
       latencyParam.value = seconds;
     }
   }
 
+  /**
+   * The latency compensation in seconds. Recorded audio lands this much later
+   * on the tape than the beat it was played against, so playback, and
+   * anything that renders what playback would sound like, reads the tape this
+   * far ahead.
+   * @returns {number}
+   */
+  get latencyCompensation() {
+    return this.#latencyCompensation;
+  }
+
   /**
    * Stops playback.
    */
@@ -262,9 +455,8 @@ export class Track {
       return this; // Should not happen, but good practice
     }
 
-    // Extract the dirty region from the audio buffer
-    const leftData = this.#audioBuffer.getChannelData(0).subarray(this.#statsMinFrame, this.#statsMaxFrame);
-    const rightData = this.#audioBuffer.getChannelData(1).subarray(this.#statsMinFrame, this.#statsMaxFrame);
+    // Extract the dirty region. Regions that were never recorded read as silence.
+    const { left: leftData, right: rightData } = this.read(this.#statsMinFrame, this.#statsMaxFrame);
 
     // Reset dirty region trackers
     this.#statsMinFrame = Infinity;
@@ -272,14 +464,12 @@ export class Track {
 
     return new Promise((resolve) => {
       this.#statsPromiseResolver = resolve;
-      // Post data to worker for calculation. We need to copy the data because it's being transferred.
-      const leftDataForWorker = new Float32Array(leftData);
-      const rightDataForWorker = new Float32Array(rightData);
+      // Post data to worker for calculation. `read` returns copies, so they can be transferred.
       this.updateCanvas(leftData, rightData);
       this.#statsWorker.postMessage({
-        left: leftDataForWorker,
-        right: rightDataForWorker
-      }, [leftDataForWorker.buffer, rightDataForWorker.buffer]);
+        left: leftData,
+        right: rightData
+      }, [leftData.buffer, rightData.buffer]);
     });
   }
 
@@ -0,0 +1,286 @@
+// @ts-check
+
+// Track audio is stored, played back and persisted in chunks of this many
+// frames. Chunks are only allocated once something is written to them.
+export const CHUNK_FRAMES = 1 << 16;
+
+/**
+ * @typedef {{left: Float32Array, right: Float32Array}} Chunk
+ */
+
+/**
+ * Appends `next` to `previous` and returns the last `count` samples.
+ * @param {Float32Array} previous
+ * @param {Float32Array} next
+ * @param {number} count
+ * @returns {Float32Array}
+ */
+function keepLast(previous, next, count) {
+  if (next.length >= count) {
+    return next.slice(next.length - count);
+  }
+  const keepFromPrevious = Math.min(previous.length, count - next.length);
+  const result = new Float32Array(keepFromPrevious + next.length);
+  result.set(previous.subarray(previous.length - keepFromPrevious));
+  result.set(next, keepFromPrevious);
+  return result;
+}
+
+/**
+ * @param {boolean} shared Whether to back the chunk with SharedArrayBuffers.
+ * @returns {Chunk} A silent chunk.
+ */
+function createChunk(shared) {
+  if (!shared) {
+    return { left: new Float32Array(CHUNK_FRAMES), right: new Float32Array(CHUNK_FRAMES) };
+  }
+  const bytes = CHUNK_FRAMES * Float32Array.BYTES_PER_ELEMENT;
+  return {
+    left: new Float32Array(new SharedArrayBuffer(bytes)),
+    right: new Float32Array(new SharedArrayBuffer(bytes)),
+  };
+}
+
+/**
+ * @param {Float32Array} data
+ * @param {number} start
+ * @param {number} end Exclusive.
+ * @returns {boolean} True if every sample in the range is zero.
+ */
+function isSilent(data, start, end) {
+  for (let i = start; i < end; i++) {
+    if (data[i] !== 0) return false;
+  }
+  return true;
+}
+
+/**
+ * A track's audio in chunks, with punch-in recording. Regions that were never
+ * written hold no memory and are silent. It has no dependencies on the page,
+ * so that the recording worker can punch into the same shared chunks as the
+ * track on the main thread.
+ */
+export class TrackChunks {
+  /**
+   * The audio, by chunk index. Missing chunks are silent.
+   * @type {(Chunk | undefined)[]}
+   */
+  #chunks = [];
+  /** @type {boolean} Whether new chunks are backed by SharedArrayBuffers. */
+  #shared;
+  /** @type {(index: number, chunk: Chunk) => void} */
+  #onChunkCreated;
+  /** @type {(startFrame: number, endFrame: number, writtenEndFrame: number) => void} */
+  #onWrite;
+
+  /**
+   * The active punch window, or null when not punch recording.
+   * `nextFrame` is where the next write is expected to start, and `tail` holds
+   * the audio that was overwritten over the last `fadeFrames` written, so that
+   * an early punch-out can crossfade back to it.
+   * @type {{inFrame: number, outFrame: number, fadeFrames: number, nextFrame: number,
+   *   tail: {left: Float32Array, right: Float32Array}} | null}
+   */
+  #punch = null;
+
+  /**
+   * @param {boolean} shared Whether to back new chunks with SharedArrayBuffers.
+   * @param {object} [callbacks]
+   * @param {(index: number, chunk: Chunk) => void} [callbacks.onChunkCreated]
+   *   Called when a chunk is allocated.
+   * @param {(startFrame: number, endFrame: number, writtenEndFrame: number) => void} [callbacks.onWrite]
+   *   Called after every write with the range written, and one past the last
+   *   frame that landed in a chunk, or 0 if none did.
+   */
+  constructor(shared, { onChunkCreated = () => {}, onWrite = () => {} } = {}) {
+    this.#shared = shared;
+    this.#onChunkCreated = onChunkCreated;
+    this.#onWrite = onWrite;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Chunk | undefined} The chunk, if it has been allocated.
+   */
+  get(index) {
+    return this.#chunks[index];
+  }
+
+  /**
+   * Uses an existing chunk, e.g. one shared by another thread.
+   * @param {number} index
+   * @param {Chunk} chunk
+   */
+  set(index, chunk) {
+    this.#chunks[index] = chunk;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Chunk} The chunk, allocated if it did not exist.
+   */
+  getOrCreate(index) {
+    let chunk = this.#chunks[index];
+    if (!chunk) {
+      chunk = createChunk(this.#shared);
+      this.#chunks[index] = chunk;
+      this.#onChunkCreated(index, chunk);
+    }
+    return chunk;
+  }
+
+  /**
+   * Writes audio data at a specific frame offset.
+   * @param {Float32Array} leftData The left channel audio data.
+   * @param {Float32Array} rightData The right channel audio data.
+   * @param {number} startFrame The frame number where the write should begin.
+   */
+  write(leftData, rightData, startFrame) {
+    if (startFrame < 0) {
+      console.warn('Attempted to write with a negative startFrame.');
+      return;
+    }
+
+    const endFrame = startFrame + leftData.length;
+    let frame = startFrame;
+    let writtenEndFrame = 0;
+    while (frame < endFrame) {
+      const index = Math.floor(frame / CHUNK_FRAMES);
+      const chunkStart = index * CHUNK_FRAMES;
+      const segmentEnd = Math.min(endFrame, chunkStart + CHUNK_FRAMES);
+      const from = frame - startFrame;
+      const to = segmentEnd - startFrame;
+      // Silence written where nothing was recorded does not need a chunk.
+      if (this.#chunks[index]
+        || !isSilent(leftData, from, to) || !isSilent(rightData, from, to)) {
+        const chunk = this.getOrCreate(index);
+        chunk.left.set(leftData.subarray(from, to), frame - chunkStart);
+        chunk.right.set(rightData.subarray(from, to), frame - chunkStart);
+        writtenEndFrame = segmentEnd;
+      }
+      frame = segmentEnd;
+    }
+    this.#onWrite(startFrame, endFrame, writtenEndFrame);
+  }
+
+  /**
+   * Returns a copy of the audio in a frame range. Frames that were never
+   * recorded are silent.
+   * @param {number} startFrame
+   * @param {number} endFrame Exclusive.
+   * @returns {{left: Float32Array, right: Float32Array}}
+   */
+  read(startFrame, endFrame) {
+    const length = Math.max(0, endFrame - startFrame);
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    let frame = Math.max(0, startFrame);
+    while (frame < endFrame) {
+      const index = Math.floor(frame / CHUNK_FRAMES);
+      const chunkStart = index * CHUNK_FRAMES;
+      const segmentEnd = Math.min(endFrame, chunkStart + CHUNK_FRAMES);
+      const chunk = this.#chunks[index];
+      if (chunk) {
+        left.set(chunk.left.subarray(frame - chunkStart, segmentEnd - chunkStart), frame - startFrame);
+        right.set(chunk.right.subarray(frame - chunkStart, segmentEnd - chunkStart), frame - startFrame);
+      }
+      frame = segmentEnd;
+    }
+    return { left, right };
+  }
+
+  /**
+   * Starts a punch recording pass. Subsequent calls to `writePunched` only
+   * write inside the window, and crossfade with the existing audio over
+   * `fadeFrames` at the punch-in and punch-out points.
+   * @param {number} inFrame The first frame of the punch window.
+   * @param {number} outFrame The frame after the last frame of the window.
+   * @param {number} fadeFrames The length of the crossfades.
+   */
+  punchIn(inFrame, outFrame, fadeFrames) {
+    this.#punch = {
+      inFrame,
+      outFrame,
+      fadeFrames: Math.max(0, Math.min(fadeFrames, Math.floor((outFrame - inFrame) / 2))),
+      nextFrame: inFrame,
+      tail: { left: new Float32Array(0), right: new Float32Array(0) },
+    };
+  }
+
+  /**
+   * Writes recorded audio clamped to the punch window started by `punchIn`.
+   * @param {Float32Array} leftData The left channel audio data.
+   * @param {Float32Array} rightData The right channel audio data.
+   * @param {number} startFrame The frame number where the write should begin.
+   */
+  writePunched(leftData, rightData, startFrame) {
+    const punch = this.#punch;
+    if (!punch) {
+      console.warn('writePunched called without punchIn.');
+      return;
+    }
+
+    const writeStart = Math.max(startFrame, punch.inFrame);
+    const writeEnd = Math.min(startFrame + leftData.length, punch.outFrame);
+    if (writeEnd <= writeStart) return;
+
+    if (writeStart > punch.nextFrame) {
+      console.warn('Skipped frames: ' + (writeStart - punch.nextFrame));
+    }
+
+    const offset = writeStart - startFrame;
+    const length = writeEnd - writeStart;
+    const existing = this.read(writeStart, writeEnd);
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const frame = writeStart + i;
+      const g = this.#punchGain(frame);
+      left[i] = leftData[offset + i] * g + existing.left[i] * (1 - g);
+      right[i] = rightData[offset + i] * g + existing.right[i] * (1 - g);
+    }
+    this.write(left, right, writeStart);
+
+    punch.tail = {
+      left: keepLast(punch.tail.left, existing.left, punch.fadeFrames),
+      right: keepLast(punch.tail.right, existing.right, punch.fadeFrames),
+    };
+    punch.nextFrame = writeEnd;
+  }
+
+  /**
+   * Ends the punch recording pass. If recording stopped before the punch-out
+   * point, the end of the new audio is crossfaded back into what it replaced.
+   */
+  punchOut() {
+    const punch = this.#punch;
+    this.#punch = null;
+    if (!punch || punch.nextFrame >= punch.outFrame || punch.nextFrame <= punch.inFrame) {
+      return;
+    }
+
+    const fadeLength = punch.tail.left.length;
+    const fadeStart = punch.nextFrame - fadeLength;
+    const current = this.read(fadeStart, punch.nextFrame);
+    for (let i = 0; i < fadeLength; i++) {
+      const g = 1 - (i + 1) / fadeLength;
+      current.left[i] = current.left[i] * g + punch.tail.left[i] * (1 - g);
+      current.right[i] = current.right[i] * g + punch.tail.right[i] * (1 - g);
+    }
+    this.write(current.left, current.right, fadeStart);
+  }
+
+  /**
+   * The gain applied to new audio at a frame inside the punch window. It
+   * ramps linearly from 0 to 1 after punch-in, and back to 0 before punch-out.
+   * @param {number} frame
+   * @returns {number}
+   */
+  #punchGain(frame) {
+    const punch = this.#punch;
+    if (!punch || punch.fadeFrames === 0) return 1;
+    const sinceIn = frame - punch.inFrame;
+    const untilOut = punch.outFrame - 1 - frame;
+    return Math.min(1, (sinceIn + 1) / punch.fadeFrames, (untilOut + 1) / punch.fadeFrames);
+  }
+}
\ No newline at end of file
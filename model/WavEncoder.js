@@ -0,0 +1,83 @@
+// @ts-check
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const PCM_HEADER_BYTES = 44;
+// Formats other than PCM need the fmt chunk's cbSize field (2 bytes) and a
+// fact chunk holding the frame count (12 bytes).
+const FLOAT_HEADER_BYTES = PCM_HEADER_BYTES + 2 + 12;
+
+/**
+ * Writes an ASCII string into a DataView.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} text
+ */
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Encodes audio as a RIFF WAV file.
+ * Use 24 for 24-bit integer PCM, or 32 for 32-bit IEEE float.
+ * Integer samples are clipped to [-1, 1]; float samples are written as-is.
+ * @param {Float32Array[]} channels One array per channel, all the same length.
+ * @param {number} sampleRate
+ * @param {24 | 32} bitDepth
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(channels, sampleRate, bitDepth) {
+  const channelCount = channels.length;
+  const frameCount = channelCount > 0 ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataBytes = frameCount * blockAlign;
+
+  const isFloat = bitDepth === 32;
+  const headerBytes = isFloat ? FLOAT_HEADER_BYTES : PCM_HEADER_BYTES;
+
+  const buffer = new ArrayBuffer(headerBytes + dataBytes);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, headerBytes - 8 + dataBytes, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, isFloat ? 18 : 16, true);
+  view.setUint16(20, isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  let offset = 36;
+  if (isFloat) {
+    view.setUint16(offset, 0, true);
+    writeString(view, offset + 2, 'fact');
+    view.setUint32(offset + 6, 4, true);
+    view.setUint32(offset + 10, frameCount, true);
+    offset += 14;
+  }
+  writeString(view, offset, 'data');
+  view.setUint32(offset + 4, dataBytes, true);
+  offset += 8;
+
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const sample = channels[c][i];
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const clipped = Math.max(-1, Math.min(1, sample));
+        const value = Math.round(clipped < 0 ? clipped * 0x800000 : clipped * 0x7fffff);
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+}
\ No newline at end of file
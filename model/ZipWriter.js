@@ -0,0 +1,110 @@
+// @ts-check
+
+// Stored (uncompressed) entries only. WAV audio barely compresses, and
+// skipping deflate keeps this small and fast.
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date into MS-DOS time and date fields.
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Bundles files into a single zip archive.
+ * @param {{name: string, data: ArrayBuffer}[]} files
+ * @returns {Blob}
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  /** @type {BlobPart[]} */
+  const parts = [];
+  /** @type {Uint8Array[]} */
+  const centralHeaders = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = new Uint8Array(file.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30 + name.length));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    new Uint8Array(local.buffer).set(name, 30);
+
+    const central = new DataView(new ArrayBuffer(46 + name.length));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    new Uint8Array(central.buffer).set(name, 46);
+
+    parts.push(local.buffer, data);
+    centralHeaders.push(new Uint8Array(central.buffer));
+    offset += local.byteLength + data.length;
+  }
+
+  const centralSize = centralHeaders.reduce((sum, h) => sum + h.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralHeaders, end.buffer], { type: 'application/zip' });
+}
\ No newline at end of file
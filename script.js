@@ -6,9 +6,18 @@ import { ChatInterfaceUI } from "./view/ChatInterfaceUI.js";
 import { LLM } from "./controller/llm.js";
 import { SongState } from "./model/SongState.js";
 import { SongUI } from "./view/SongUI.js";
+import { TakeLanesUI } from "./view/TakeLanesUI.js";
+import { MixerUI } from "./view/MixerUI.js";
 import { TapeDeckEngine } from "./model/TapeDeckEngine.js";
 import { MetronomeEngine } from "./model/MetronomeEngine.js";
 import { MixerEngine } from "./model/MixerEngine.js";
+import { SessionStore } from "./model/SessionStore.js";
+import { StemExporter } from "./model/StemExporter.js";
+import { AudioImporter } from "./model/AudioImporter.js";
+
+// Dragging a fader changes the mixer many times a second. Saving once it
+// settles keeps IndexedDB from being written on every step.
+const MIXER_SAVE_DELAY_MS = 500;
 
 async function main() {
   // The main logic will go here
@@ -32,6 +41,10 @@ async function main() {
 
   const schema = new ToolSchemas();
   const songState = new SongState();
+  const sessionStore = await openSessionStore();
+  if (sessionStore) {
+    await restoreSongState(sessionStore, songState);
+  }
   const mainContainer = document.getElementById('main-container');
   if (!mainContainer) {
     throw new Error('Main container not found');
@@ -39,14 +52,38 @@ async function main() {
   const songUI = new SongUI(mainContainer, songState);
 
   const mixerEngine = new MixerEngine(audioContext);
-  const metronomeEngine = await MetronomeEngine.create(audioContext, songState);
+  if (sessionStore) {
+    await restoreMixerState(sessionStore, mixerEngine);
+  }
+  const mixerContainer = document.createElement('div');
+  mainContainer.appendChild(mixerContainer);
+  new MixerUI(mixerContainer, mixerEngine);
+  const metronomeEngine = await MetronomeEngine.create(
+    audioContext, songState, mixerEngine.masterInput, mixerEngine.cueClickInput,
+    mixerEngine.mainOutput, sessionStore);
   const tapeDeckEngine = await TapeDeckEngine.create(
-    audioContext, audioStream, songState, mixerEngine, metronomeEngine);
+    audioContext, audioStream, songState, mixerEngine, metronomeEngine, sessionStore);
+  const takeLanesContainer = document.createElement('div');
+  mainContainer.appendChild(takeLanesContainer);
+  new TakeLanesUI(takeLanesContainer, tapeDeckEngine.takeStore, songState,
+    (trackNumber, section, takeNumber, bar) => {
+      tapeDeckEngine.callTool('comp_take', {
+        track_number: trackNumber, section, take_number: takeNumber,
+        first_bar: bar, last_bar: bar
+      });
+    });
+  const stemExporter = new StemExporter(
+    audioContext.sampleRate, tapeDeckEngine.tracks, mixerEngine, songState);
+  mainContainer.appendChild(createExportButton(stemExporter));
+  const audioImporter = new AudioImporter(audioContext, tapeDeckEngine, songState);
+  /** @type {ChatInterfaceUI | undefined} */
+  let chatUI;
+  audioImporter.attachDropTarget(document.body,
+    message => chatUI ? chatUI.addAgentMessage(message) : console.log(message));
 
   const sectionNames = songState.sections.map(s => s.name);
   console.log(schema.getSchemaSummary(sectionNames));
 
-  let chatUI;
   try {
     const [llm, newChatUI] = await Promise.all([ // TODO: This schema summary is stale
       LLM.create(schema.getSchemaSummary(sectionNames)),
@@ -55,7 +92,8 @@ async function main() {
     chatUI = newChatUI;
 
     const toolHandlers = [
-      tapeDeckEngine, songState, chatUI, mixerEngine, metronomeEngine];
+      tapeDeckEngine, songState, chatUI, mixerEngine, metronomeEngine,
+      stemExporter, audioImporter];
     const mainController = new MainController(llm, chatUI, schema, songState, toolHandlers);
 
     // Listen for messages from the chat popup
@@ -81,6 +119,89 @@ async function main() {
   }
 }
 
+/**
+ * Opens the IndexedDB session store. Persistence is optional, so failures are
+ * logged and the session continues without it.
+ * @returns {Promise<SessionStore | null>}
+ */
+async function openSessionStore() {
+  try {
+    return await SessionStore.open();
+  } catch (err) {
+    console.error("Session persistence is unavailable:", err);
+    return null;
+  }
+}
+
+/**
+ * Restores the song sheet and keeps the stored copy up to date.
+ * @param {SessionStore} sessionStore
+ * @param {SongState} songState
+ */
+async function restoreSongState(sessionStore, songState) {
+  const songSheet = await sessionStore.loadValue('song-sheet');
+  if (songSheet) {
+    const parseError = songState.parse(songSheet);
+    if (parseError) {
+      console.warn("Stored song sheet could not be parsed:", parseError);
+    }
+  }
+  songState.addEventListener('song-state-changed', () => {
+    sessionStore.saveValue('song-sheet', songState.serialize())
+      .catch((err) => console.error("Failed to save song sheet:", err));
+  });
+}
+
+/**
+ * Restores the mixer settings and keeps the stored copy up to date.
+ * @param {SessionStore} sessionStore
+ * @param {MixerEngine} mixerEngine
+ */
+async function restoreMixerState(sessionStore, mixerEngine) {
+  const mixerState = await sessionStore.loadValue('mixer');
+  if (mixerState) {
+    mixerEngine.setState(mixerState);
+  }
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let saveTimeout = null;
+  const save = () => {
+    saveTimeout = null;
+    sessionStore.saveValue('mixer', mixerEngine.getState())
+      .catch((err) => console.error("Failed to save mixer settings:", err));
+  };
+  mixerEngine.addEventListener('mixer-state-changed', () => {
+    if (saveTimeout !== null) clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(save, MIXER_SAVE_DELAY_MS);
+  });
+  // Don't lose a change made just before the page closes.
+  window.addEventListener('pagehide', () => {
+    if (saveTimeout === null) return;
+    clearTimeout(saveTimeout);
+    save();
+  });
+}
+
+/**
+ * Creates a button that downloads the stems as 32-bit float WAV files.
+ * @param {StemExporter} stemExporter
+ * @returns {HTMLButtonElement}
+ */
+function createExportButton(stemExporter) {
+  const button = document.createElement('button');
+  button.textContent = 'Export Stems';
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      console.log(await stemExporter.exportStems(32, false));
+    } catch (err) {
+      console.error("Stem export failed:", err);
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return button;
+}
+
 /**
  * @returns {AudioContext | null}
  */
@@ -0,0 +1,259 @@
+// @ts-check
+
+/**
+ * @typedef {import('../model/MixerEngine.js').MixerEngine} MixerEngine
+ * @typedef {import('../model/MixerEngine.js').MeterReading} MeterReading
+ */
+
+// The bottom of the meters and faders.
+const METER_FLOOR_DB = -60;
+const FADER_MAX_DB = 12;
+
+/**
+ * @typedef {object} StripElements
+ * @property {HTMLInputElement} fader
+ * @property {HTMLElement} levelLabel
+ * @property {HTMLInputElement} pan
+ * @property {HTMLButtonElement} mute
+ * @property {HTMLButtonElement} solo
+ * @property {HTMLElement} meter
+ * @property {HTMLElement} reduction The compressor's gain reduction.
+ */
+
+/**
+ * @class MixerUI
+ * @description Renders a channel strip for every mixer channel and a master
+ * strip, with live level meters. Moving a control calls the mixer's tools, so
+ * the UI and the LLM change the mix the same way, and every
+ * 'mixer-state-changed' event updates the controls. The calls go straight to
+ * the mixer rather than through MainController, so edits made here are not in
+ * the command history and undo_last_command does not reverse them.
+ */
+export class MixerUI {
+  #container;
+  #mixerEngine;
+  /** @type {StripElements[]} */
+  #strips = [];
+  /** @type {HTMLInputElement} */
+  #masterFader;
+  /** @type {HTMLElement} */
+  #masterLevelLabel;
+  /** @type {HTMLElement[]} Left and right. */
+  #masterMeters;
+  /** @type {HTMLElement} */
+  #limiterReduction;
+
+  /**
+   * @param {HTMLElement} container The element to render the mixer into.
+   * @param {MixerEngine} mixerEngine
+   */
+  constructor(container, mixerEngine) {
+    this.#container = container;
+    this.#mixerEngine = mixerEngine;
+
+    this.#container.classList.add('mixer');
+    for (let i = 0; i < this.#mixerEngine.channelCount; i++) {
+      this.#strips.push(this.#createStrip(i + 1));
+    }
+
+    const master = document.createElement('div');
+    master.className = 'mixer-strip mixer-master';
+    master.appendChild(this.#createLabel('Master'));
+    this.#masterLevelLabel = this.#createLabel('');
+    master.appendChild(this.#masterLevelLabel);
+    const meters = document.createElement('div');
+    meters.className = 'mixer-fader-row';
+    this.#masterFader = this.#createFader();
+    this.#masterFader.addEventListener('input', () => {
+      this.#mixerEngine.callTool('set_master_level', { level_db: Number(this.#masterFader.value) });
+    });
+    meters.appendChild(this.#masterFader);
+    this.#masterMeters = [this.#createMeter(meters), this.#createMeter(meters)];
+    master.appendChild(meters);
+    this.#limiterReduction = this.#createLabel('');
+    this.#limiterReduction.classList.add('mixer-reduction');
+    this.#limiterReduction.title = 'Limiter gain reduction';
+    master.appendChild(this.#limiterReduction);
+    this.#container.appendChild(master);
+
+    this.#mixerEngine.addEventListener('mixer-state-changed', this.#update.bind(this));
+    this.#update();
+    requestAnimationFrame(this.#updateMeters.bind(this));
+  }
+
+  /**
+   * @param {number} channel One-based channel number.
+   * @returns {StripElements}
+   * @private
+   */
+  #createStrip(channel) {
+    const strip = document.createElement('div');
+    strip.className = 'mixer-strip';
+    strip.appendChild(this.#createLabel(String(channel)));
+
+    const pan = document.createElement('input');
+    pan.type = 'range';
+    pan.className = 'mixer-pan';
+    pan.min = '-1';
+    pan.max = '1';
+    pan.step = '0.05';
+    pan.title = 'Pan';
+    pan.addEventListener('input', () => {
+      this.#mixerEngine.callTool('set_channel_pan', { channel, pan: Number(pan.value) });
+    });
+    // Double-click centres the pan, as on most mixers.
+    pan.addEventListener('dblclick', () => {
+      this.#mixerEngine.callTool('set_channel_pan', { channel, pan: 0 });
+    });
+    strip.appendChild(pan);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'mixer-buttons';
+    const mute = this.#createButton('M', 'Mute');
+    mute.addEventListener('click', () => {
+      this.#mixerEngine.callTool('toggle_channel_mute', { channel });
+    });
+    const solo = this.#createButton('S', 'Solo');
+    solo.addEventListener('click', () => {
+      const isSoloed = this.#mixerEngine.getState().channels[channel - 1].solo;
+      this.#mixerEngine.callTool('update_mixer_channel', { channel, solo: !isSoloed });
+    });
+    buttons.append(mute, solo);
+    strip.appendChild(buttons);
+
+    const levelLabel = this.#createLabel('');
+    strip.appendChild(levelLabel);
+
+    const faderRow = document.createElement('div');
+    faderRow.className = 'mixer-fader-row';
+    const fader = this.#createFader();
+    fader.addEventListener('input', () => {
+      this.#mixerEngine.callTool('set_channel_volume', { channel, level_db: Number(fader.value) });
+    });
+    faderRow.appendChild(fader);
+    const meter = this.#createMeter(faderRow);
+    strip.appendChild(faderRow);
+
+    const reduction = this.#createLabel('');
+    reduction.classList.add('mixer-reduction');
+    reduction.title = 'Compressor gain reduction';
+    strip.appendChild(reduction);
+
+    this.#container.appendChild(strip);
+    return { fader, levelLabel, pan, mute, solo, meter, reduction };
+  }
+
+  /**
+   * @param {string} text
+   * @returns {HTMLElement}
+   * @private
+   */
+  #createLabel(text) {
+    const label = document.createElement('div');
+    label.className = 'mixer-label';
+    label.textContent = text;
+    return label;
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} title
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  #createButton(text, title) {
+    const button = document.createElement('button');
+    button.className = 'mixer-button';
+    button.textContent = text;
+    button.title = title;
+    return button;
+  }
+
+  /**
+   * @returns {HTMLInputElement}
+   * @private
+   */
+  #createFader() {
+    const fader = document.createElement('input');
+    fader.type = 'range';
+    fader.className = 'mixer-fader';
+    fader.min = String(METER_FLOOR_DB);
+    fader.max = String(FADER_MAX_DB);
+    fader.step = '0.5';
+    return fader;
+  }
+
+  /**
+   * @param {HTMLElement} parent The element to add the meter to.
+   * @returns {HTMLElement} The meter's fill, whose height shows the level.
+   * @private
+   */
+  #createMeter(parent) {
+    const track = document.createElement('div');
+    track.className = 'mixer-meter';
+    const fill = document.createElement('div');
+    fill.className = 'mixer-meter-fill';
+    track.appendChild(fill);
+    parent.appendChild(track);
+    return fill;
+  }
+
+  /**
+   * Copies the mixer state into the controls.
+   * @private
+   */
+  #update() {
+    const state = this.#mixerEngine.getState();
+    state.channels.forEach((channelState, i) => {
+      const strip = this.#strips[i];
+      if (!strip) return;
+      strip.fader.value = String(channelState.levelDB);
+      strip.levelLabel.textContent = this.#formatDB(channelState.levelDB);
+      strip.pan.value = String(channelState.pan);
+      strip.mute.classList.toggle('active', channelState.mute);
+      strip.solo.classList.toggle('active', channelState.solo);
+    });
+    const masterLevelDB = state.masterLevelDB ?? 0;
+    this.#masterFader.value = String(masterLevelDB);
+    this.#masterLevelLabel.textContent = this.#formatDB(masterLevelDB);
+  }
+
+  /**
+   * Redraws the meters every animation frame.
+   * @private
+   */
+  #updateMeters() {
+    this.#strips.forEach((strip, i) => {
+      this.#drawMeter(strip.meter, this.#mixerEngine.getChannelMeter(i));
+      const reductionDB = this.#mixerEngine.getGainReductionDB(i);
+      strip.reduction.textContent = reductionDB >= 0.5 ? `-${reductionDB.toFixed(0)}` : '';
+    });
+    const { left, right, limiterReductionDB } = this.#mixerEngine.getMasterMeter();
+    this.#drawMeter(this.#masterMeters[0], left);
+    this.#drawMeter(this.#masterMeters[1], right);
+    this.#limiterReduction.textContent = limiterReductionDB >= 0.5 ? `-${limiterReductionDB.toFixed(0)}` : '';
+    requestAnimationFrame(this.#updateMeters.bind(this));
+  }
+
+  /**
+   * Draws the RMS level as the meter's height, turning red when the peak
+   * reaches full scale.
+   * @param {HTMLElement} fill
+   * @param {MeterReading} reading
+   * @private
+   */
+  #drawMeter(fill, reading) {
+    const fraction = Math.max(0, Math.min(1, 1 - reading.rmsDB / METER_FLOOR_DB));
+    fill.style.height = `${(fraction * 100).toFixed(1)}%`;
+    fill.classList.toggle('clipping', reading.peakDB >= 0);
+  }
+
+  /**
+   * @param {number} db
+   * @returns {string}
+   * @private
+   */
+  #formatDB(db) {
+    return `${db > 0 ? '+' : ''}${db.toFixed(1)}`;
+  }
+}
\ No newline at end of file
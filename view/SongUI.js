@@ -40,8 +40,10 @@ export class SongUI {
     this.#textArea.addEventListener('input', this.#handleTextInput.bind(this));
     this.#songState.addEventListener('song-state-changed', this.#handleStateChange.bind(this));
 
+    // A song restored from the session store takes precedence over the copy
+    // kept in localStorage.
     const savedText = localStorage.getItem(LOCAL_STORAGE_KEY);
-    if (savedText) {
+    if (savedText && this.#songState.title === null) {
       this.#textArea.value = savedText;
       // Immediately parse the loaded text to populate the song state.
       this.#handleTextInput();
@@ -0,0 +1,91 @@
+// @ts-check
+
+/**
+ * @typedef {import('../model/TakeStore.js').TakeStore} TakeStore
+ * @typedef {import('../model/SongState.js').SongState} SongState
+ */
+
+/**
+ * @class TakeLanesUI
+ * @description Renders one lane per take for every track and section that has
+ * takes, with the comped bars highlighted. Clicking a bar comps that bar from
+ * the take.
+ */
+export class TakeLanesUI {
+  #container;
+  #takeStore;
+  #songState;
+  #onComp;
+
+  /**
+   * @param {HTMLElement} container The element to render the lanes into.
+   * @param {TakeStore} takeStore
+   * @param {SongState} songState
+   * @param {(trackNumber: number, section: string, takeNumber: number, bar: number) => void} onComp
+   *   Called with one-based track, take and bar numbers when a bar is clicked.
+   */
+  constructor(container, takeStore, songState, onComp) {
+    this.#container = container;
+    this.#takeStore = takeStore;
+    this.#songState = songState;
+    this.#onComp = onComp;
+
+    this.#container.classList.add('take-lanes');
+    this.#takeStore.addEventListener('takes-changed', this.#render.bind(this));
+    this.#songState.addEventListener('song-state-changed', this.#render.bind(this));
+    this.#render();
+  }
+
+  /**
+   * Rebuilds the lanes from the take store.
+   * @private
+   */
+  #render() {
+    this.#container.innerHTML = '';
+    const sections = this.#songState.sections;
+    const lanes = this.#takeStore.getTakeLanes()
+      .map(lane => ({ ...lane, section: sections.find(s => s.name === lane.section) }))
+      .filter(lane => lane.section)
+      .sort((a, b) => a.track - b.track
+        || sections.indexOf(a.section) - sections.indexOf(b.section));
+
+    for (const { track, section } of lanes) {
+      if (!section) continue;
+      const group = document.createElement('div');
+      group.className = 'take-lane-group';
+
+      const header = document.createElement('div');
+      header.className = 'take-lane-header';
+      header.textContent = `Track ${track + 1} – ${section.name}`;
+      group.appendChild(header);
+
+      const comp = this.#takeStore.getComp(track, section.name);
+      for (const take of this.#takeStore.list(track, section.name)) {
+        const lane = document.createElement('div');
+        lane.className = 'take-lane';
+
+        const label = document.createElement('span');
+        label.className = 'take-lane-label';
+        label.textContent = `Take ${take.number}`;
+        lane.appendChild(label);
+
+        for (let bar = 0; bar < section.bar_count; bar++) {
+          const cell = document.createElement('span');
+          cell.className = 'take-bar';
+          const isComped = comp.some(s => s.number === take.number
+            && s.startBar <= bar && bar < s.endBar);
+          if (isComped) {
+            cell.classList.add('comped');
+          }
+          cell.title = `Bar ${bar + 1}`;
+          cell.addEventListener('click', () => {
+            this.#onComp(track + 1, section.name, take.number, bar + 1);
+          });
+          lane.appendChild(cell);
+        }
+        group.appendChild(lane);
+      }
+      this.#container.appendChild(group);
+    }
+  }
+}
\ No newline at end of file